@@ -0,0 +1,135 @@
+const path = require("path");
+const { findCallers } = require('./graph');
+const { mapCharOffsetToLineno, getFullTestName } = require('./utils');
+
+/**
+ * Parses the output of "git diff --unified=0" and returns Map of filename => Array of [firstLine, lastLine] ranges
+ * (both inclusive, starting from 1) of lines added or changed in the new version of each file. Deleted files are left
+ * out, and for hunks that only delete lines, the lines either side of the deletion are used.
+ */
+function parseDiffRanges(diffOutput) {
+  const ranges = new Map();
+  let filename = null;
+  diffOutput.split('\n').forEach((line) => {
+    if (line.startsWith('+++ ')) {
+      const target = line.slice(4);
+      filename = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (filename && !ranges.has(filename)) {
+        ranges.set(filename, []);
+      }
+      return;
+    }
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (hunk && filename) {
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      ranges.get(filename).push(count === 0 ? [start, start + 1] : [start, start + count - 1]);
+    }
+  });
+  return ranges;
+}
+
+/**
+ * Returns tests that may be affected by the given changes, i.e. tests that:
+ *  - were changed themselves
+ *  - directly or transitively call a function or class method that was changed
+ *  - run after a hook that was changed or that calls such a function (needs "hookChain", see findTests())
+ *  - are in a file where something outside of any test, hook or function was changed, e.g. a module-level constant.
+ *    Likewise, all functions in a file are treated as changed if something outside of them was.
+ *
+ * "dump" holds the files to select tests from, and "files" all files reached by following imports (see linkCalls()),
+ * with "graph" built from the latter. "changedRanges" is as returned by parseDiffRanges(), keyed by paths relative to
+ * the current working directory.
+ *
+ * Returns { tests: [{ filename, name, id, start, scope }], changedFunctions: [function id] }.
+ */
+function findAffectedTests({ dump, files, graph, changedRanges }) {
+  const changedLines = new Map();
+  changedRanges.forEach((ranges, filename) => changedLines.set(path.resolve(filename), ranges));
+
+  // Returns undefined if file was not changed, otherwise a function that tells if the given offsets were changed
+  const getRangeChecker = (filename) => {
+    const ranges = changedLines.get(path.resolve(filename));
+    if (!ranges) {
+      return undefined;
+    }
+    const matched = new Set();
+    const isChanged = (start, end) => {
+      const first = mapCharOffsetToLineno(filename, start).line;
+      const last = mapCharOffsetToLineno(filename, end).line;
+      const overlapping = ranges.filter(([a, b]) => a <= last && b >= first);
+      overlapping.forEach((range) => matched.add(range));
+      return overlapping.length > 0;
+    };
+    isChanged.hasUnmatchedChanges = () => ranges.some((range) => !matched.has(range));
+    return isChanged;
+  };
+
+  const changedFunctions = new Set();
+  const changedCallers = new Set();  // "<filename>:<start>" of tests and hooks that were changed
+  const changedFiles = new Set();  // files with changes outside of tests, hooks and functions
+
+  Object.entries(files).forEach(([filename, fileDump]) => {
+    const isChanged = fileDump && getRangeChecker(filename);
+    if (!isChanged) {
+      return;
+    }
+    const functionIds = [];
+    (fileDump.functions || []).forEach((func) => {
+      const id = `${filename}#${func.name}`;
+      functionIds.push(id);
+      if (isChanged(func.start, func.end)) {
+        changedFunctions.add(id);
+      }
+    });
+    (fileDump.classes || []).forEach((classObj) => {
+      classObj.methods.forEach((method) => {
+        const id = `${filename}#${classObj.name}.${method.name}`;
+        functionIds.push(id);
+        if (isChanged(method.start, method.end)) {
+          changedFunctions.add(id);
+        }
+      });
+    });
+    (fileDump.tests || []).forEach((test) => {
+      if (isChanged(test.start, test.end)) {
+        changedCallers.add(`${filename}:${test.start}`);
+      }
+    });
+    Object.values(fileDump.hooks || {}).flat().forEach((hook) => {
+      if (isChanged(hook.start, hook.end)) {
+        changedCallers.add(`${filename}:${hook.start}`);
+      }
+    });
+
+    if (isChanged.hasUnmatchedChanges()) {
+      changedFiles.add(filename);
+      functionIds.forEach((id) => changedFunctions.add(id));
+    }
+  });
+
+  const affectedCallers = new Set(changedCallers);
+  changedFunctions.forEach((id) => {
+    const { tests, hooks } = findCallers(graph, id);
+    [...tests, ...hooks].forEach((caller) => affectedCallers.add(`${caller.filename}:${caller.start}`));
+  });
+
+  const tests = [];
+  Object.entries(dump).forEach(([filename, fileDump]) => {
+    (fileDump.tests || []).forEach((test) => {
+      const isAffected = changedFiles.has(filename)
+        || affectedCallers.has(`${filename}:${test.start}`)
+        || (test.hookChain || []).some((ref) => affectedCallers.has(`${filename}:${ref.start}`));
+      if (isAffected) {
+        tests.push({ filename, name: getFullTestName(test), id: test.id, start: test.start, scope: test.scope });
+      }
+    });
+  });
+
+  return { tests, changedFunctions: Array.from(changedFunctions).filter((id) => graph.functions[id]) };
+}
+
+module.exports = {
+  parseDiffRanges,
+  findAffectedTests,
+}
@@ -0,0 +1,198 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseSourceAST, findTests, findExportedFunc, findImports } = require('./parser');
+const { createScopeLoader } = require('./evaluate');
+const { resolveModulePath } = require('./graph');
+const { getLineStarts, createLineIndex } = require('./utils');
+const { createDiskCache } = require('./cache');
+const { findReferences } = require('./prune');
+const pjs = require('./package.json');
+
+/**
+ * What can be extracted from a parsed file, by name. Each takes the AST, the static scope of the file (see
+ * evaluate.js) and options for findTests().
+ */
+const ANALYSES = {
+  tests: (ast, staticScope, testOptions) => findTests(ast, { ...testOptions, staticScope }),
+  functions: (ast, staticScope) => findExportedFunc(ast, { staticScope }),
+  exports: (ast, staticScope) => ({ ...findExportedFunc(ast, { staticScope }), ...findImports(ast) }),
+  all: (ast, staticScope, testOptions) => ({
+    ...findExportedFunc(ast, { staticScope }),
+    ...findImports(ast),
+    ...findTests(ast, { ...testOptions, staticScope }),
+  }),
+  // Same as "all", plus "references" as used by "shzm prune" (see findReferences() in prune.js)
+  prune: (ast, staticScope, testOptions) => {
+    const all = ANALYSES.all(ast, staticScope, testOptions);
+    return { ...all, references: findReferences(ast, all.functions) };
+  },
+};
+
+const PARSE_ERROR_TYPES = {
+  ParseSyntaxError: 'syntax',
+  ParseLimitationsError: 'parse-limitation',
+};
+
+/**
+ * Returns an analyzer that reads and parses each file at most once, however many times it is analysed or imported
+ * by other files. Options:
+ *  - testOptions: options for findTests(), e.g. { testIdentifiers, describeIdentifiers, modifiers, hookChain }. Must
+ *    be serialisable as JSON, since they are part of cache keys and are passed to worker threads.
+ *  - cacheDir: if set, results are cached on disk in this directory (see getCacheKey())
+ *  - sources: Object of filename => content, used instead of reading these files, e.g. for code that is not saved yet
+ *
+ * analyzer.analyzeFile(filename, analysis) returns one of:
+ *  - { result, lineStarts }, "result" being the output of ANALYSES[analysis] and "lineStarts" those of the content
+ *    it was found in (see getLineStarts() in utils.js), e.g. to add locations
+ *  - { error: { type, message, start?, line?, col? }, lineAtError? } if the file could not be analysed, where "type"
+ *    is "syntax" (not valid JavaScript/TypeScript), "parse-limitation" (see ParseLimitationsError) or "skipped" (a
+ *    nodeJS script starting with a shebang). "lineAtError" is the content of the line where a syntax error was found.
+ */
+function createAnalyzer({ testOptions = {}, cacheDir, sources = {} } = {}) {
+  const cache = cacheDir ? createDiskCache(cacheDir) : undefined;
+  const contents = new Map();  // absolute filename => Promise of { content, hash }
+  Object.entries(sources).forEach(([filename, content]) => {
+    contents.set(path.resolve(filename), Promise.resolve({ content, hash: hash(content) }));
+  });
+  const asts = new Map();  // absolute filename => Promise of AST, rejected if the file cannot be parsed
+
+  function readFile(filename) {
+    const resolved = path.resolve(filename);
+    if (!contents.has(resolved)) {
+      contents.set(resolved, fs.promises.readFile(resolved, 'utf8').then((content) => ({ content, hash: hash(content) })));
+    }
+    return contents.get(resolved);
+  }
+
+  function parseFile(filename) {
+    const resolved = path.resolve(filename);
+    if (!asts.has(resolved)) {
+      asts.set(resolved, readFile(resolved).then(({ content }) => parseSourceAST(content, resolved)));
+    }
+    return asts.get(resolved);
+  }
+
+  const loadStaticScope = createScopeLoader(async (filename) => {
+    try {
+      const ast = await parseFile(filename);
+      return ast && { ast, ...findImports(ast) };
+    } catch (e) {
+      if (PARSE_ERROR_TYPES[e.name]) {
+        return null;  // reported when the file itself is analysed, if it is one of the given paths
+      }
+      throw e;
+    }
+  });
+
+  async function getModuleSources(filename) {
+    // Relative modules that the static scope of a file links to. Only depends on the content of the file, so is
+    // cached by content hash.
+    const { hash: contentHash } = await readFile(filename);
+    const cached = cache.get('sources', contentHash);
+    if (cached) {
+      return cached;
+    }
+    let sources = [];
+    try {
+      sources = findModuleSources(await parseFile(filename));
+    } catch (e) {
+      if (!PARSE_ERROR_TYPES[e.name]) {
+        throw e;
+      }
+    }
+    cache.set('sources', contentHash, sources);
+    return sources;
+  }
+
+  async function getCacheKey(filename, analysis) {
+    /**
+     * Results of a file depend on its own content, but also on that of the files it imports constants from, directly
+     * or not. So the key is based on all of those, as well as the shzm version and the options for findTests().
+     */
+    const dependencies = new Map();  // absolute filename => content hash
+    const queue = [path.resolve(filename)];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (dependencies.has(current)) {
+        continue;
+      }
+      dependencies.set(current, (await readFile(current)).hash);
+      (await getModuleSources(current)).forEach((source) => {
+        const resolved = resolveModulePath(current, source);
+        if (resolved) {
+          queue.push(path.resolve(resolved));
+        }
+      });
+    }
+    return hash(JSON.stringify({
+      version: pjs.version,
+      analysis,
+      testOptions,
+      file: dependencies.get(path.resolve(filename)),
+      dependencies: Array.from(dependencies).map(([f, h]) => [path.relative(path.dirname(path.resolve(filename)), f), h]).sort(),
+    }));
+  }
+
+  async function analyze(filename, analysis) {
+    try {
+      const ast = await parseFile(filename);
+      if (!ast) {
+        return { error: { type: 'skipped', message: 'File starts with a shebang, so is assumed to be a nodeJS script' } };
+      }
+      const result = await ANALYSES[analysis](ast, await loadStaticScope(filename), testOptions);
+      return { result, lineStarts: getLineStarts((await readFile(filename)).content) };
+    } catch (e) {
+      const type = PARSE_ERROR_TYPES[e.name];
+      if (!type) {
+        throw e;
+      }
+      const loc = createLineIndex(getLineStarts((await readFile(filename)).content))(e.atChar);
+      return {
+        error: { type, message: e.message, start: e.atChar, line: loc.line, col: loc.col },
+        ...(e.lineAtError !== undefined && { lineAtError: e.lineAtError }),
+      };
+    }
+  }
+
+  return {
+    async analyzeFile(filename, analysis) {
+      if (!ANALYSES[analysis]) {
+        throw new Error(`unknown analysis "${analysis}"`);
+      }
+      if (!cache) {
+        return analyze(filename, analysis);
+      }
+      const key = await getCacheKey(filename, analysis);
+      const cached = cache.get('results', key);
+      if (cached) {
+        return cached;
+      }
+      const outcome = await analyze(filename, analysis);
+      cache.set('results', key, outcome);
+      return outcome;
+    },
+  };
+}
+
+function findModuleSources(ast) {
+  /**
+   * Returns relative sources of imports and re-exports, i.e. the modules that linkScope() in evaluate.js follows.
+   */
+  if (!ast) {
+    return [];
+  }
+  const reexports = ast.body.filter((node) => {
+    return node.type === 'ExportAllDeclaration' || (node.type === 'ExportNamedDeclaration' && node.source);
+  });
+  const sources = [...findImports(ast).imports.map((i) => i.source), ...reexports.map((node) => node.source.value)];
+  return Array.from(new Set(sources.filter((source) => source.startsWith('.'))));
+}
+
+function hash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+module.exports = {
+  createAnalyzer,
+}
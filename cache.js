@@ -0,0 +1,37 @@
+const path = require('path');
+const fs = require('fs');
+const { threadId } = require('worker_threads');
+
+/**
+ * Returns a cache of JSON values on disk, under the given directory, e.g. ".shzm-cache". Values are grouped by
+ * namespace, and stored as one file per key:
+ *  - get(namespace, key) returns the stored value, or undefined if there is none or it cannot be read
+ *  - set(namespace, key, value) stores the value. Writes are atomic, so that several processes or worker threads can
+ *    share the same cache.
+ *
+ * Keys should be safe to use as filenames, e.g. hashes.
+ */
+function createDiskCache(cacheDir) {
+  const getPath = (namespace, key) => path.join(cacheDir, namespace, `${key}.json`);
+
+  return {
+    get(namespace, key) {
+      try {
+        return JSON.parse(fs.readFileSync(getPath(namespace, key), 'utf8'));
+      } catch (e) {
+        return undefined;  // not cached yet, or left incomplete by a process that was killed
+      }
+    },
+    set(namespace, key, value) {
+      const filename = getPath(namespace, key);
+      const tmpFilename = `${filename}.${process.pid}-${threadId}.tmp`;
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+      fs.writeFileSync(tmpFilename, JSON.stringify(value));
+      fs.renameSync(tmpFilename, filename);
+    },
+  };
+}
+
+module.exports = {
+  createDiskCache,
+}
@@ -0,0 +1,108 @@
+const path = require('path');
+const fs = require('fs');
+const { ConfigError } = require('./config');
+const { getFullTestName } = require('./utils');
+
+/**
+ * Loads the allowlist of skipped tests, a JSON file with an Array of entries such as
+ *   { "file": "e2e/checkout.spec.js", "name": "Checkout pays by card", "expires": "2026-12-31", "reason": "QW-123" }
+ *
+ * "file" is relative to the current working directory, and "name" is either the full name of a test (as reported by
+ * Jest) or that of a describe() block, to allow all tests within it. "expires" is the last day the skip is allowed,
+ * and "reason" is optional.
+ */
+function loadAllowlist(filename) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(filename, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(`could not read allowlist "${filename}": ${e.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new ConfigError(`allowlist "${filename}" should contain an Array`);
+  }
+  entries.forEach((entry, i) => {
+    const isValid = entry !== null && typeof entry === 'object'
+      && typeof entry.file === 'string' && typeof entry.name === 'string'
+      && typeof entry.expires === 'string' && isValidDate(entry.expires);
+    if (!isValid) {
+      throw new ConfigError(
+        `invalid entry #${i + 1} in allowlist "${filename}". Expecting { file, name, expires: "YYYY-MM-DD", reason? }`
+      );
+    }
+  });
+  return entries;
+}
+
+function isValidDate(text) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) && new Date(`${text}T00:00:00Z`).toISOString().startsWith(text);
+}
+
+/**
+ * Checks focused and skipped tests in the given dump (e.g. the output of "shzm tests"), according to these options:
+ *  - forbidOnly: if true, every .only (on a test or describe()) is an error
+ *  - maxSkipped: if set, more skipped tests than this is an error, reported on each skipped test
+ *  - allowlist: if set, as returned by loadAllowlist(), every skipped test must match an entry that has not expired
+ *  - today: date to check expiry against, as "YYYY-MM-DD". Defaults to the current local date
+ *
+ * Returns violations in the same form as lint(), i.e. Array of { rule, severity, filename, start, message }, where
+ * "rule" is the name of the corresponding option in kebab case.
+ */
+function checkTests(dump, { forbidOnly, maxSkipped, allowlist, today = formatLocalDate(new Date()) } = {}) {
+  const violations = [];
+  const report = (rule, filename, start, message) => {
+    violations.push({ rule, severity: 'error', filename, start, message });
+  };
+
+  const skipped = [];
+  const reportedOnly = new Set();
+  Object.entries(dump).forEach(([filename, fileDump]) => {
+    ((fileDump && fileDump.tests) || []).forEach((test) => {
+      if (test.skip) {
+        skipped.push({ filename, test });
+      }
+      if (forbidOnly && test.only) {
+        // Report each .only once, even if it applies to several tests, e.g. describe.only
+        test.scope.filter((s) => s.only && !reportedOnly.has(`${filename}:${s.start}`)).forEach((s) => {
+          reportedOnly.add(`${filename}:${s.start}`);
+          report('forbid-only', filename, s.start, `Focused ${s.func}("${s.name}") should not be committed`);
+        });
+      }
+    });
+  });
+
+  if (maxSkipped !== undefined && skipped.length > maxSkipped) {
+    skipped.forEach(({ filename, test }) => {
+      const message = `Skipped test "${getFullTestName(test)}" (${skipped.length} skipped tests, at most ${maxSkipped} allowed)`;
+      report('max-skipped', filename, test.start, message);
+    });
+  }
+
+  if (allowlist) {
+    skipped.forEach(({ filename, test }) => {
+      const name = getFullTestName(test);
+      const entries = allowlist.filter((entry) => {
+        return path.resolve(entry.file) === path.resolve(filename)
+          && (name === entry.name || name.startsWith(`${entry.name} `));
+      });
+      if (entries.length === 0) {
+        report('allowlist', filename, test.start, `Skipped test "${name}" is not in the allowlist`);
+      } else if (entries.every((entry) => entry.expires < today)) {
+        const expires = entries.map((entry) => entry.expires).sort().pop();
+        report('allowlist', filename, test.start, `Skip of test "${name}" expired on ${expires}`);
+      }
+    });
+  }
+
+  return violations.sort((a, b) => a.filename.localeCompare(b.filename) || a.start - b.start);
+}
+
+function formatLocalDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+module.exports = {
+  loadAllowlist,
+  checkTests,
+}
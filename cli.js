@@ -0,0 +1,734 @@
+#!/usr/bin/env node
+const path = require("path");
+const fs = require("fs");
+const { Command } = require('commander');
+const { execFileSync } = require("child_process");
+const { parseSourceAST, findTests, findImports } = require('./parser');
+const { formatMatchLocation, formatTestNamePattern } = require('./utils');
+const { loadConfig, getProjectRoot, getExtensions } = require('./config');
+const { lint, formatViolations } = require('./lint');
+const { resolveReexports, resolveReferences, buildCallGraph, findCallers, findCallees, getFunctionId } = require('./graph');
+const { findUnusedFunctions, removeFunctions, formatDiff } = require('./prune');
+const { createScopeLoader } = require('./evaluate');
+const { diffTests, formatTestDiff } = require('./diff');
+const { addIds } = require('./fingerprint');
+const { parseDiffRanges, findAffectedTests } = require('./affected');
+const { parseTagFilter, selectTests, formatSelectionPattern } = require('./select');
+const { resolveModifiers, getModifierFlags, getPlatformFlags } = require('./modifiers');
+const { loadAllowlist, checkTests } = require('./check');
+const { collectTestIds, loadTestIdList } = require('./detox');
+const { createProject, resolvePaths } = require('./project');
+const { watchPaths, getDependencies, findDependents, getFileEvents } = require('./watch');
+const pjs =  require("./package.json");
+
+const binName = pjs.name;
+
+async function main() {
+  const program = new Command();
+  program
+    .name(binName)
+    .description("Parse and identify Qwil-style Detox/Jest test files and functions")
+    .version(pjs.version)
+
+  addProjectOptions(program.command('tests'), { keepGoing: 'report' })
+    .description('Parses spec files to local tests definitions, and dumps results to stdout as JSON')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} tests ./e2e/tests  # look for tests in all test files (*.spec.js, *.spec.ts, ...) under ./e2e/tests dir
+  ${binName} tests ./e2e/tests ./e2e/uat  # specify multiple dirs
+  ${binName} tests ./e22/tests/a.spec.js  # parse a single file
+  ${binName} tests ./e2e/tests --keep-going  # dump what can be parsed, and list files that could not be parsed on stderr
+    `)
+    .argument('<file_or_dir...>', 'files or dirs to parse')
+    .option('--locations', 'add line/column "locations" next to char offsets in the output')
+    .option('--hook-chain', 'list the hooks that run around each test under "hookChain"')
+    .action(async (paths, options) => {
+      await parseAndDumpTests(paths, options);
+    })
+
+  addProjectOptions(program.command('functions'), { keepGoing: 'report' })
+    .description('Parses js files to local exported functions, and dumps results to stdout as JSON')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} functions ./e2e/support  # look for exported functions in all source files (*.js, *.ts, ...) under ./e2e/support dir
+  ${binName} functions ./e2e/support ./e2e/api  # specify multiple dirs
+  ${binName} functions ./e22/support/a.spec.js  # parse a single file
+  ${binName} functions ./e2e/support/index.js --follow-reexports  # map functions re-exported by a barrel file to their implementation
+    `)
+    .argument('<file_or_dir...>', 'files or dirs to parse')
+    .option('--follow-reexports', 'follow re-exports across files to the functions that implement them')
+    .option('--locations', 'add line/column "locations" next to char offsets in the output')
+    .action(async (paths, options) => {
+      await parseAndDumpFuncExports(paths, options);
+    })
+
+  addProjectOptions(program.command('dump'), { keepGoing: 'report' })
+    .description('Combination of "tests" and "functions", i.e. parses everything and dumps to JSON')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} dump ./e2e  # look for tests and exported functions in all source files (*.js, *.ts, ...) under ./e2e dir
+  ${binName} dump ./e2e/tests ./e2e/api  # specify multiple dirs
+  ${binName} dump ./e22/support/a.spec.js  # parse a single file
+  ${binName} dump ./e2e --locations  # also output line and column of everything, e.g. for editor integrations
+  ${binName} dump ./e2e --watch  # keep running, and output what changes as newline-delimited JSON events
+    `)
+    .argument('<file_or_dir...>', 'files or dirs to parse')
+    .option('--follow-reexports', 'follow re-exports across files to the functions that implement them')
+    .option('--locations', 'add line/column "locations" next to char offsets in the output')
+    .option('--hook-chain', 'list the hooks that run around each test under "hookChain"')
+    .option('--watch', 'watch files for changes and output events as newline-delimited JSON, instead of a single dump')
+    .action(async (paths, options) => {
+      if (options.watch) {
+        await watchAndDumpAll(paths, options);
+      } else {
+        await parseAndDumpAll(paths, options);
+      }
+    })
+
+  addProjectOptions(program.command('graph'), { keepGoing: 'report' })
+    .description('Parses everything (same as "dump"), follows imports to link calls to the functions they call, then dumps the call graph to stdout as JSON')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} graph ./e2e  # dump full call graph, including calls that could not be resolved
+  ${binName} graph ./e2e --callers-of loginAs  # list functions, tests and hooks that (transitively) call loginAs()
+  ${binName} graph ./e2e --callees-of e2e/support/auth.js#loginAs  # list functions (transitively) called by loginAs()
+    `)
+    .argument('<file_or_dir...>', 'files or dirs to parse')
+    .option('--callers-of <function>', 'only output callers of the given function name or id')
+    .option('--callees-of <function>', 'only output functions called by the given function name or id')
+    .action(async (paths, options) => {
+      await parseAndDumpGraph(paths, options);
+    })
+
+  addProjectOptions(program.command('prune'))
+    .description('Parses everything (same as "dump") and lists exported functions that are not used by any test or hook, either directly or via other functions')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} prune ./e2e  # list unused functions in all source files (*.js, *.ts, ...) under ./e2e dir
+  ${binName} prune ./e2e --fix  # delete unused functions and print the diff
+
+Make sure to include all tests and functions that may use the functions, otherwise they will be reported as unused.
+    `)
+    .argument('<file_or_dir...>', 'files or dirs to parse')
+    .option('--fix', 'delete unused functions from source files')
+    .action(async (paths, options) => {
+      await parseAndPrune(paths, options);
+    })
+
+  addProjectOptions(program.command('lint'), { keepGoing: 'report' })
+    .description('Parses everything (same as "dump") then checks the results against built-in and project lint rules')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} lint ./e2e  # lint all *.js files under ./e2e dir using ./shzm.config.js if it exists
+  ${binName} lint ./e2e --config ./e2e/shzm.config.js  # use a specific config file
+
+Exits with non-zero status if any rule with "error" severity is violated.
+    `)
+    .argument('<file_or_dir...>', 'files or dirs to parse')
+    .action(async (paths, options) => {
+      await parseAndLint(paths, options);
+    })
+
+  program.command('diff')
+    .description('Compares tests between two git revisions or two saved dumps, and reports tests that were added, removed, renamed, moved, modified or had their skip/only/platform flags changed')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} diff main HEAD ./e2e  # compare tests under ./e2e between the main branch and the current commit
+  ${binName} diff main my-branch ./e2e --json  # same, output as JSON
+  ${binName} diff before.json after.json  # compare the output of two "${binName} tests" or "${binName} dump" runs
+
+Tests are matched by file and name (i.e. names of the test and its parent describe() blocks), then by name across
+files, then by the calls they make.
+    `)
+    .argument('<base>', 'git revision, or path to JSON output of "tests" or "dump"')
+    .argument('<head>', 'git revision, or path to JSON output of "tests" or "dump"')
+    .argument('[file_or_dir...]', 'files or dirs to parse when comparing git revisions (default: current dir)')
+    .option('--json', 'output as JSON')
+    .option('-c, --config <path>', 'path to config file (default: ./shzm.config.js)')
+    .action(async (base, head, paths, options) => {
+      await parseAndDiff(base, head, paths, options);
+    })
+
+  addProjectOptions(program.command('affected'))
+    .description('Lists tests that may be affected by local changes, based on "git diff" and the call graph (see "graph")')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} affected ./e2e  # list spec files with tests affected by uncommitted changes
+  ${binName} affected ./e2e --base main  # same, for all changes since the main branch
+  detox test $(${binName} affected ./e2e --base main)  # only run affected spec files
+  detox test --testNamePattern "$(${binName} affected ./e2e --base main --output pattern)"  # only run affected tests
+
+A test is affected if it was changed, or calls (directly or via other functions) a function that was changed, or
+runs after a hook that was. Untracked files are treated as entirely new.
+    `)
+    .argument('[file_or_dir...]', 'files or dirs with tests and the functions they use (default: current dir)')
+    .option('--base <revision>', 'git revision to compare the working tree against', 'HEAD')
+    .option('--output <format>', 'output format: "files" (spec file paths), "pattern" (Jest --testNamePattern) or "json"', 'files')
+    .action(async (paths, options) => {
+      await parseAndFindAffected(paths, options);
+    })
+
+  addProjectOptions(program.command('select'), { keepGoing: 'skip' })
+    .description('Lists tests that match the given name, tags, platform and flags, e.g. to decide what Detox should run')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} select ./e2e --tag smoke --platform ios  # list spec files with smoke tests that run on iOS
+  ${binName} select ./e2e --name "^Checkout " --exclude-skipped --output names  # list full names of matching tests
+  detox test --testNamePattern "$(${binName} select ./e2e --tag jira=QW-123 --output pattern)" $(${binName} select ./e2e --tag jira=QW-123)
+
+Tags are read from comments above tests and describe() blocks, e.g. "// @jira QW-123" (see README). A test must have
+all tags given with --tag, and none of those given with --exclude-tag.
+    `)
+    .argument('[file_or_dir...]', 'spec files or dirs (default: current dir)')
+    .option('--name <regex>', 'only tests whose full name (including parent describe() names) matches the regex')
+    .option('--tag <tag>', 'only tests with the given tag, e.g. "smoke" or "jira=QW-123". Can be repeated', collect, [])
+    .option('--exclude-tag <tag>', 'leave out tests with the given tag. Can be repeated', collect, [])
+    .option('--platform <platform>', 'leave out tests limited to other platforms, e.g. "ios" or "android"')
+    .option('--exclude-skipped', 'leave out tests that are skipped, e.g. by it.skip or describe.skip')
+    .option('--output <format>', 'output format: "files" (spec file paths), "names" (full test names), "pattern" (Jest --testNamePattern) or "json"', 'files')
+    .action(async (paths, options) => {
+      await parseAndSelect(paths.length > 0 ? paths : ['.'], options);
+    })
+
+  addProjectOptions(program.command('check'), { keepGoing: 'skip' })
+    .description('Checks for focused and skipped tests, e.g. as a CI step. Exits with non-zero status on failure')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} check ./e2e --forbid-only  # fail if any it.only or describe.only is left in
+  ${binName} check ./e2e --forbid-only --max-skipped 10  # also fail if more than 10 tests are skipped
+  ${binName} check ./e2e --allowlist e2e/skipped.json  # fail on skipped tests not in the allowlist, or past expiry
+
+The allowlist is a JSON file with an Array of entries, each allowing skips of a test or of all tests within a
+describe(), until the end of the "expires" day:
+
+  [{ "file": "e2e/checkout.spec.js", "name": "Checkout pays by card", "expires": "2026-12-31", "reason": "QW-123" }]
+    `)
+    .argument('[file_or_dir...]', 'spec files or dirs (default: current dir)')
+    .option('--forbid-only', 'fail if any test or describe() is focused with .only')
+    .option('--max-skipped <count>', 'fail if more than the given number of tests are skipped')
+    .option('--allowlist <path>', 'fail if a skipped test is not in the given allowlist file, or its entry has expired')
+    .action(async (paths, options) => {
+      await parseAndCheck(paths.length > 0 ? paths : ['.'], options);
+    })
+
+  addProjectOptions(program.command('ids'), { keepGoing: 'skip' })
+    .description('Lists testIDs matched with by.id() in tests and helpers, optionally comparing them against a list of testIDs from the app')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} ids ./e2e  # list every testID used, one per line
+  ${binName} ids ./e2e --output json  # also list where each testID is used, and how (action, assertion, ...)
+  ${binName} ids ./e2e --compare app-test-ids.txt  # report testIDs missing from the app, and those no test uses
+
+The list to compare against is a plain-text file with one testID per line. Blank lines and lines starting with "#"
+are ignored. Exits with non-zero status if tests use testIDs that are not in the list.
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: current dir)')
+    .option('--compare <path>', 'compare against the testIDs listed in the given file')
+    .option('--output <format>', 'output format: list|json', 'list')
+    .action(async (paths, options) => {
+      await parseAndListIds(paths.length > 0 ? paths : ['.'], options);
+    })
+
+  await program.parseAsync();
+}
+
+/**
+ * Adds the options of commands that analyse files with createProject() (see project.js) to the given command, and
+ * returns it. "keepGoing" is "report" if files that cannot be parsed are reported under "errors", "skip" if they are
+ * left out, or undefined if the command does not support --keep-going.
+ */
+function addProjectOptions(command, { keepGoing } = {}) {
+  if (keepGoing === 'report') {
+    command.option('--keep-going', 'report files that cannot be parsed under "errors" and carry on, instead of stopping at the first one');
+  } else if (keepGoing === 'skip') {
+    command.option('--keep-going', 'skip files that cannot be parsed, instead of stopping at the first one');
+  }
+  return command
+    .option('--cache', 'cache results on disk, so that files that did not change are not parsed again')
+    .option('--cache-location <path>', 'directory to cache results in', '.shzm-cache')
+    .option('-j, --jobs <count>', 'number of worker threads to parse files with', '1')
+    .option('-c, --config <path>', 'path to config file (default: ./shzm.config.js)');
+}
+
+async function parseAndDumpTests(paths, options) {
+  const config = loadConfig(options.config);
+  const project = createProject(config, options);
+  const out = await project.analyzeFiles(resolvePaths(paths, getExtensions(config).testExtensions), 'tests');
+  if (options.locations) {
+    project.addLocations(out);
+  }
+  console.log(JSON.stringify(out, null, 2));
+  reportErrors(out, options);
+}
+
+async function parseTests(paths, config, options) {
+  return createProject(config, options).analyzeFiles(resolvePaths(paths, getExtensions(config).testExtensions), 'tests');
+}
+
+async function parseAndDumpFuncExports(paths, options) {
+  const config = loadConfig(options.config);
+  const project = createProject(config, options);
+  const out = await project.analyzeFiles(resolvePaths(paths, getExtensions(config).sourceExtensions), 'functions');
+  if (options.followReexports) {
+    await resolveReexports(out, project.loadExportsAndImports);
+  }
+  if (options.locations) {
+    project.addLocations(out);
+  }
+  console.log(JSON.stringify(out, null, 2));
+  reportErrors(out, options);
+}
+
+async function parseAndDumpAll(paths, options) {
+  const config = loadConfig(options.config);
+  const project = createProject(config, options);
+  const dump = await project.analyzeFiles(resolvePaths(paths, getExtensions(config).sourceExtensions), 'all');
+  await project.linkDump(dump);
+  console.log(JSON.stringify(dump, null, 2));
+  reportErrors(dump, options);
+}
+
+/**
+ * Same as parseAndDumpAll(), then watches the given paths and outputs newline-delimited JSON events as files are
+ * added, changed or removed (see getFileEvents() in watch.js). Nothing is output for files whose results did not change:
+ *   { "event": "ready", "files": Object }  once, with the same content as "dump"
+ *   { "event": "fileChanged", "filename", "file": Object }  with the new content of the file
+ *   { "event": "fileRemoved", "filename" }
+ *   { "event": "testAdded" | "testRemoved", "filename", "name", "test": TestObj }  "name" being the full test name
+ *   { "event": "parseError", "filename", "errors": Array }  the file keeps its previous content until fixed
+ *
+ * Only files that changed are parsed again, along with those that import constants from them.
+ */
+async function watchAndDumpAll(paths, options) {
+  options = { ...options, keepGoing: true };
+  const config = loadConfig(options.config);
+  const { sourceExtensions } = getExtensions(config);
+  const emit = (event) => console.log(JSON.stringify(event));
+
+  let project = createProject(config, options);
+  const dump = await project.analyzeFiles(resolvePaths(paths, sourceExtensions), 'all');
+  await project.linkDump(dump);
+  const dependencies = {};
+  Object.entries(dump).forEach(([filename, fileDump]) => {
+    dependencies[filename] = getDependencies(filename, fileDump);
+  });
+  emit({ event: 'ready', files: dump });
+
+  watchPaths(paths, async (changed) => {
+    const filenames = resolvePaths(paths, sourceExtensions);
+    const removed = Object.keys(dump).filter((filename) => !filenames.includes(filename));
+    const added = filenames.filter((filename) => !(filename in dump));
+    let dirty = findDependents(dependencies, [...changed, ...removed]);
+
+    removed.forEach((filename) => {
+      getFileEvents(filename, dump[filename], undefined).forEach(emit);
+      delete dump[filename];
+      delete dependencies[filename];
+    });
+    if (added.length > 0) {
+      // Imports that did not resolve before may now resolve to the new files
+      Object.entries(dump).forEach(([filename, fileDump]) => {
+        dependencies[filename] = getDependencies(filename, fileDump);
+      });
+      dirty = [...dirty, ...added, ...findDependents(dependencies, added)];
+    }
+    dirty = Array.from(new Set(dirty)).filter((filename) => filenames.includes(filename)).sort();
+    if (dirty.length === 0) {
+      return;
+    }
+
+    project = createProject(config, options);  // so that changed files are read again
+    const updates = await project.analyzeFiles(dirty, 'all');
+    const parsed = {};
+    Object.entries(updates).forEach(([filename, fileDump]) => {
+      const isParseError = (fileDump.errors || []).some((error) => error.type !== 'skipped');
+      if (isParseError) {
+        emit({ event: 'parseError', filename, errors: fileDump.errors });
+        if (!(filename in dump)) {
+          dump[filename] = fileDump;
+          dependencies[filename] = [];
+        }
+      } else {
+        parsed[filename] = fileDump;
+      }
+    });
+    await project.linkDump(parsed, dump);
+    Object.entries(parsed).forEach(([filename, fileDump]) => {
+      getFileEvents(filename, dump[filename], fileDump).forEach(emit);
+      dump[filename] = fileDump;
+      dependencies[filename] = getDependencies(filename, fileDump);
+    });
+  });
+}
+
+async function parseAndDumpGraph(paths, options) {
+  const { dump, files, unresolved } = await parseAndLinkAll(paths, loadConfig(options.config), options);
+  const graph = buildCallGraph(files);
+  let out;
+  if (options.callersOf) {
+    out = findCallers(graph, options.callersOf);
+  } else if (options.calleesOf) {
+    out = findCallees(graph, options.calleesOf);
+  } else {
+    out = { ...graph, unresolved };
+  }
+  console.log(JSON.stringify(out, null, 2));
+  reportErrors(dump, options);
+}
+
+async function parseAndPrune(paths, options) {
+  const { dump, files, unresolved } = await parseAndLinkAll(paths, loadConfig(options.config), options, 'prune');
+  const references = Object.entries(dump).flatMap(([filename, fileDump]) => {
+    return (fileDump.references || []).map(({ from, ...reference }) => {
+      return { filename, ...reference, ...(from && { from: getFunctionId(filename, from) }) };
+    });
+  });
+  const graph = buildCallGraph(files);
+  const unusedIds = findUnusedFunctions(graph, unresolved, Object.keys(dump), await resolveReferences(files, references));
+
+  const unusedByFile = new Map();
+  unusedIds.forEach((id) => {
+    const { filename, name, start } = graph.functions[id];
+    console.log(`${formatMatchLocation({ filename, start })}  Function "${name}" is not used`);
+    if (!unusedByFile.has(filename)) {
+      unusedByFile.set(filename, new Set());
+    }
+    unusedByFile.get(filename).add(name);
+  });
+
+  if (!options.fix) {
+    console.log(`\n${unusedIds.length} unused function(s) found`);
+    return;
+  }
+
+  for (const [filename, names] of unusedByFile) {
+    const content = await fs.promises.readFile(filename, 'utf8');
+    const funcs = dump[filename].functions.filter((f) => names.has(f.name));
+    const keptFuncs = dump[filename].functions.filter((f) => !names.has(f.name));
+    const { content: pruned, hunks } = removeFunctions(content, funcs, keptFuncs);
+    await fs.promises.writeFile(filename, pruned, 'utf8');
+    console.log(`\n${formatDiff(filename, hunks)}`);
+  }
+  console.log(`\nRemoved ${unusedIds.length} unused function(s) from ${unusedByFile.size} file(s)`);
+}
+
+async function parseAndDiff(base, head, paths, options) {
+  const config = loadConfig(options.config);
+  const isDumpFile = (arg) => arg.endsWith('.json') && fs.existsSync(arg);
+  if (isDumpFile(base) !== isDumpFile(head)) {
+    quit('ERROR: <base> and <head> should either both be JSON dump files or both be git revisions');
+  }
+
+  let baseDump;
+  let headDump;
+  if (isDumpFile(base)) {
+    baseDump = readDumpFile(base);
+    headDump = readDumpFile(head);
+  } else {
+    baseDump = await parseTestsAtRevision(base, paths.length > 0 ? paths : ['.'], config, getProjectRoot(options.config));
+    headDump = await parseTestsAtRevision(head, paths.length > 0 ? paths : ['.'], config, getProjectRoot(options.config));
+  }
+
+  const result = diffTests(baseDump, headDump, getModifierFlags(resolveModifiers(config.modifiers)));
+  console.log(options.json ? JSON.stringify(result, null, 2) : formatTestDiff(result));
+}
+
+function readDumpFile(filename) {
+  try {
+    return JSON.parse(fs.readFileSync(filename, 'utf8'));
+  } catch (e) {
+    quit(`ERROR: could not read dump file "${filename}": ${e.message}`);
+  }
+}
+
+/**
+ * Same as "shzm tests" but for test files (see getExtensions()) as they were at the given git revision, read with "git show". Files that
+ * cannot be parsed are skipped with a warning. Stable ids are relative to "root", as for createProject().
+ */
+async function parseTestsAtRevision(revision, paths, config, root) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${revision}^{commit}`]);
+  } catch (e) {
+    quit(`ERROR: "${revision}" is neither a JSON dump file nor a git revision`);
+  }
+
+  const readSource = (filename) => git(['show', `${revision}:./${filename}`]);
+  const loadScope = createScopeLoader((filename) => {
+    try {
+      const ast = parseSourceAST(readSource(filename), filename);
+      return ast && { ast, ...findImports(ast) };
+    } catch (e) {
+      return null;  // file does not exist at this revision, or cannot be parsed
+    }
+  }, createRevisionFileLookup(revision));
+
+  const filenames = git(['ls-tree', '-r', '--name-only', revision, '--', ...paths])
+    .split('\n')
+    .filter((f) => getExtensions(config).testExtensions.some((suffix) => f.endsWith(suffix)));
+  let out = {};
+  for (const filename of filenames) {
+    try {
+      const ast = parseSourceAST(readSource(filename), filename);
+      if (ast) {
+        out[filename] = addIds(filename, findTests(ast, { ...config, staticScope: await loadScope(filename) }), root);
+      }
+    } catch (e) {
+      if (e.name !== 'ParseSyntaxError' && e.name !== 'ParseLimitationsError') {
+        throw e;
+      }
+      console.error(`WARNING: skipping ${revision}:${filename}, which could not be parsed: ${e.message}`);
+    }
+  }
+  return out;
+}
+
+/**
+ * Returns function(filename) that tells whether a file exists at the given git revision, so that imports are resolved
+ * against the files of that revision rather than those of the working tree. Dirs are listed once, when first needed.
+ */
+function createRevisionFileLookup(revision) {
+  const filesByDir = new Map();  // dir => Set of files in it, as paths relative to the current dir
+  return (filename) => {
+    const dir = path.dirname(filename);
+    if (!filesByDir.has(dir)) {
+      const entries = git(['ls-tree', '-z', revision, '--', `${dir}/`]).split('\0').filter((line) => line.includes(' blob '));
+      filesByDir.set(dir, new Set(entries.map((line) => line.slice(line.indexOf('\t') + 1))));
+    }
+    return filesByDir.get(dir).has(path.normalize(filename));
+  };
+}
+
+function git(args) {
+  return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 256 * 1024 * 1024 });
+}
+
+async function parseAndFindAffected(paths, options) {
+  const formats = ['files', 'pattern', 'json'];
+  if (!formats.includes(options.output)) {
+    quit(`ERROR: unsupported output format "${options.output}". Expecting ${formats.join('|')}`);
+  }
+
+  let changedRanges;
+  try {
+    changedRanges = parseDiffRanges(git(['diff', '--unified=0', '--no-color', '--no-ext-diff', '--relative', options.base, '--']));
+    git(['ls-files', '--others', '--exclude-standard']).split('\n').filter((f) => f).forEach((filename) => {
+      changedRanges.set(filename, [[1, Infinity]]);
+    });
+  } catch (e) {
+    quit(`ERROR: could not get changes since "${options.base}" from git: ${(e.stderr || e.message).trim()}`);
+  }
+
+  const { dump, files } = await parseAndLinkAll(paths.length > 0 ? paths : ['.'], loadConfig(options.config), { ...options, hookChain: true });
+  const { tests, changedFunctions } = findAffectedTests({ dump, files, graph: buildCallGraph(files), changedRanges });
+
+  if (options.output === 'json') {
+    const out = {
+      files: Array.from(new Set(tests.map((t) => t.filename))),
+      tests: tests.map(({ filename, name, id, start }) => ({ filename, name, id, start })),
+      changedFunctions,
+      testNamePattern: formatTestNamePattern(tests),
+    };
+    console.log(JSON.stringify(out, null, 2));
+  } else if (options.output === 'pattern') {
+    console.log(formatTestNamePattern(tests));
+  } else {
+    Array.from(new Set(tests.map((t) => t.filename))).forEach((filename) => console.log(filename));
+  }
+}
+
+async function parseAndSelect(paths, options) {
+  const formats = ['files', 'names', 'pattern', 'json'];
+  if (!formats.includes(options.output)) {
+    quit(`ERROR: unsupported output format "${options.output}". Expecting ${formats.join('|')}`);
+  }
+  const config = loadConfig(options.config);
+  const platformFlags = getPlatformFlags(resolveModifiers(config.modifiers));
+  if (options.platform && !platformFlags[options.platform]) {
+    quit(`ERROR: unsupported platform "${options.platform}". Expecting ${Object.keys(platformFlags).join('|')}`);
+  }
+  let name;
+  try {
+    name = options.name !== undefined ? new RegExp(options.name) : undefined;
+  } catch (e) {
+    quit(`ERROR: invalid --name regex: ${e.message}`);
+  }
+
+  const dump = await parseTests(paths, config, options);
+  const tests = selectTests(dump, {
+    name,
+    tags: options.tag.map(parseTagFilter),
+    excludeTags: options.excludeTag.map(parseTagFilter),
+    platform: options.platform,
+    platformFlags,
+    excludeSkipped: options.excludeSkipped,
+  });
+
+  if (options.output === 'json') {
+    const out = {
+      files: Array.from(new Set(tests.map((t) => t.filename))),
+      tests: tests.map(({ filename, name, names, id, start, tags }) => ({ filename, name, names, id, start, tags })),
+      testNamePattern: formatSelectionPattern(tests),
+    };
+    console.log(JSON.stringify(out, null, 2));
+  } else if (options.output === 'pattern') {
+    console.log(formatSelectionPattern(tests));
+  } else if (options.output === 'names') {
+    tests.flatMap((t) => t.names).forEach((name) => console.log(name));
+  } else {
+    Array.from(new Set(tests.map((t) => t.filename))).forEach((filename) => console.log(filename));
+  }
+  reportErrors(dump, options);
+}
+
+async function parseAndCheck(paths, options) {
+  if (!options.forbidOnly && options.maxSkipped === undefined && !options.allowlist) {
+    quit('ERROR: nothing to check. Expecting at least one of --forbid-only, --max-skipped or --allowlist');
+  }
+  if (options.maxSkipped !== undefined && !/^\d+$/.test(options.maxSkipped)) {
+    quit(`ERROR: invalid --max-skipped "${options.maxSkipped}". Expecting a non-negative integer`);
+  }
+
+  const allowlist = options.allowlist ? loadAllowlist(options.allowlist) : undefined;
+  const dump = await parseTests(paths, loadConfig(options.config), options);
+  const violations = checkTests(dump, {
+    forbidOnly: options.forbidOnly,
+    maxSkipped: options.maxSkipped !== undefined ? Number(options.maxSkipped) : undefined,
+    allowlist,
+  });
+  if (violations.length > 0) {
+    console.log(formatViolations(violations));
+  }
+  reportErrors(dump, options);
+  if (violations.length > 0) {
+    process.exit(1);
+  }
+}
+
+async function parseAndListIds(paths, options) {
+  const formats = ['list', 'json'];
+  if (!formats.includes(options.output)) {
+    quit(`ERROR: unsupported output format "${options.output}". Expecting ${formats.join('|')}`);
+  }
+  const appIds = options.compare ? loadTestIdList(options.compare) : undefined;
+
+  const config = loadConfig(options.config);
+  const project = createProject(config, options);
+  const dump = await project.analyzeFiles(resolvePaths(paths, getExtensions(config).sourceExtensions), 'all');
+  const { ids, unresolved } = collectTestIds(dump);
+  const missing = appIds ? ids.filter(({ id }) => !appIds.has(id)) : [];
+  const unused = appIds ? Array.from(appIds).filter((id) => !ids.some((entry) => entry.id === id)).sort() : [];
+
+  if (options.output === 'json') {
+    const out = {
+      ids,
+      unresolved,
+      ...(appIds && { missing: missing.map(({ id }) => id), unused }),
+    };
+    console.log(JSON.stringify(out, null, 2));
+  } else if (appIds) {
+    console.log(`${missing.length} testID(s) used by tests but not in ${options.compare}:`);
+    missing.forEach(({ id, usages }) => console.log(`  ${id}  ${formatMatchLocation(usages[0])}`));
+    console.log(`\n${unused.length} testID(s) in ${options.compare} not used by any test:`);
+    unused.forEach((id) => console.log(`  ${id}`));
+  } else {
+    ids.forEach(({ id }) => console.log(id));
+  }
+  if (unresolved.length > 0 && options.output !== 'json') {
+    console.error(`\n${unresolved.length} by.id() matcher(s) with a testID that could not be evaluated statically:`);
+    unresolved.forEach((match) => console.error(`  ${formatMatchLocation(match)}`));
+  }
+  reportErrors(dump, options);
+  if (missing.length > 0) {
+    process.exit(1);
+  }
+}
+
+async function parseAndLint(paths, options) {
+  const config = loadConfig(options.config);
+  const { dump, files } = await parseAndLinkAll(paths, config, options);
+  const violations = lint(dump, config, files);
+  if (violations.length > 0) {
+    console.log(formatViolations(violations));
+  }
+  reportErrors(dump, options);
+  if (violations.some((v) => v.severity === 'error')) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Parses everything with the given analysis (see ANALYSES in analyze.js), then links calls to the exported functions
+ * they call (see graph.js). Files reached by following imports are parsed for exported functions, and returned in
+ * "files" but not in "dump".
+ */
+async function parseAndLinkAll(paths, config, options = {}, analysis = 'all') {
+  const project = createProject(config, options);
+  const dump = await project.analyzeFiles(resolvePaths(paths, getExtensions(config).sourceExtensions), analysis);
+  const { files, unresolved } = await project.linkDump(dump);
+  return { dump, files, unresolved };
+}
+
+function formatParseError(filename, { type, message, line, col }, lineAtError) {
+  const codeFrame = lineAtError !== undefined ? `\n\n${lineAtError}\n${' '.repeat(col - 1)}^\n` : '';
+  return `ERROR: ${type === 'syntax' ? 'Syntax error: ' : ''}${message}${codeFrame}\n    at (${filename}:${line}:${col})`;
+}
+
+/**
+ * With --keep-going, prints a summary of files that could not be parsed to stderr, and sets a non-zero exit code if
+ * any of them had syntax errors or parse limitations. Skipped files are listed but do not count as failures.
+ */
+function reportErrors(dump, options) {
+  if (!options.keepGoing) {
+    return;
+  }
+  const errors = Object.entries(dump).flatMap(([filename, fileDump]) => {
+    return (fileDump.errors || []).map((error) => ({ filename, ...error }));
+  });
+  if (errors.length === 0) {
+    return;
+  }
+
+  const count = (type) => errors.filter((e) => e.type === type).length;
+  const lines = errors.map((e) => {
+    const location = e.line !== undefined ? `${e.filename}:${e.line}:${e.col}` : e.filename;
+    return `${location}  ${e.type}  ${e.message}`;
+  });
+  lines.push('', `${count('syntax')} syntax error(s), ${count('parse-limitation')} parse limitation(s), ${count('skipped')} skipped file(s)`);
+  console.error(lines.join('\n'));
+
+  if (count('syntax') + count('parse-limitation') > 0) {
+    process.exitCode = 1;
+  }
+}
+
+function collect(value, previous) {
+  // For options that can be repeated, e.g. "--tag smoke --tag regression"
+  return [...previous, value];
+}
+
+function quit(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+main().catch(e => {
+  if (e.name === 'ConfigError' || e.name === 'InputError') {
+    quit(`ERROR: ${e.message}`);
+  }
+  if (e.name === 'FileParseError') {
+    quit(formatParseError(e.filename, e.error, e.lineAtError));
+  }
+  console.error(e);
+  process.exit(1);
+});
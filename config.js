@@ -0,0 +1,79 @@
+const path = require("path");
+const fs = require("fs");
+
+const DEFAULT_CONFIG_FILENAME = 'shzm.config.js';
+const DEFAULT_TEST_EXTENSIONS = ['.spec.js', '.spec.jsx', '.spec.ts', '.spec.tsx'];
+const DEFAULT_SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+/**
+ * Loads project config (a CommonJS module exporting a plain object) and returns it.
+ *
+ * If configPath is not given, we look for "shzm.config.js" in the current working dir and fall back to an empty
+ * config if it does not exist. If configPath is given explicitly, it must exist.
+ */
+function loadConfig(configPath) {
+  const resolved = path.resolve(configPath || DEFAULT_CONFIG_FILENAME);
+  if (!fs.existsSync(resolved)) {
+    if (configPath) {
+      throw new ConfigError(`config file "${configPath}" does not exist`);
+    }
+    return {};
+  }
+
+  const config = require(resolved);
+  if (!config || typeof config !== 'object') {
+    throw new ConfigError(`config file "${resolved}" should export an object`);
+  }
+  return config;
+}
+
+/**
+ * Returns the dir that file paths in stable ids are relative to (see addIds()): that of the config file if there is
+ * one, so that ids do not depend on where shzm is run from, or else the current working dir. configPath is as for
+ * loadConfig(), or may be the config itself, e.g. as given to analyze().
+ */
+function getProjectRoot(configPath) {
+  const resolved = path.resolve(typeof configPath === 'string' ? configPath : DEFAULT_CONFIG_FILENAME);
+  return fs.existsSync(resolved) ? path.dirname(resolved) : process.cwd();
+}
+
+/**
+ * Returns { testExtensions, sourceExtensions }, i.e. suffixes of files to scan for tests (e.g. by "shzm tests") and for
+ * everything else (e.g. by "shzm dump"), from the "testExtensions" and "sourceExtensions" sections of the project
+ * config, e.g.
+ *
+ *   module.exports = {
+ *     testExtensions: ['.e2e.ts'],
+ *     sourceExtensions: ['.js', '.ts'],
+ *   };
+ */
+function getExtensions(config) {
+  const validate = (key, defaultValue) => {
+    const value = config[key] === undefined ? defaultValue : config[key];
+    if (!Array.isArray(value) || value.length === 0 || value.some((ext) => typeof ext !== 'string' || !ext.startsWith('.'))) {
+      throw new ConfigError(`"${key}" in config should be a non-empty Array of extensions, e.g. [".spec.ts"]`);
+    }
+    return value;
+  };
+  return {
+    testExtensions: validate('testExtensions', DEFAULT_TEST_EXTENSIONS),
+    sourceExtensions: validate('sourceExtensions', DEFAULT_SOURCE_EXTENSIONS),
+  };
+}
+
+/**
+ * Thrown when the project config is missing or malformed.
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+module.exports = {
+  loadConfig,
+  getProjectRoot,
+  getExtensions,
+  ConfigError,
+}
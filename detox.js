@@ -0,0 +1,187 @@
+const fs = require('fs');
+const { ConfigError } = require('./config');
+const { forEachCaller, escapeRegExp } = require('./utils');
+
+// Detox APIs that return a promise, see https://wix.github.io/Detox/docs/api/actions
+const DETOX_ELEMENT_ACTIONS = new Set([
+  'tap', 'longPress', 'longPressAndDrag', 'multiTap', 'tapAtPoint', 'tapBackspaceKey', 'tapReturnKey', 'typeText',
+  'replaceText', 'clearText', 'scroll', 'scrollTo', 'scrollToIndex', 'swipe', 'setColumnToValue', 'setDatePickerDate',
+  'pinch', 'pinchWithAngle', 'adjustSliderToPosition', 'getAttributes', 'takeScreenshot', 'performAccessibilityAction',
+]);
+const DETOX_EXPECTATIONS = new Set([
+  'toBeVisible', 'toBeNotVisible', 'toExist', 'toNotExist', 'toBeFocused', 'toBeNotFocused', 'toHaveText',
+  'toHaveLabel', 'toHaveId', 'toHaveValue', 'toHaveToggleValue', 'toHaveSliderPosition',
+]);
+const DETOX_DEVICE_METHODS = new Set([
+  'launchApp', 'relaunchApp', 'terminateApp', 'sendToHome', 'reloadReactNative', 'installApp', 'uninstallApp',
+  'selectApp', 'openURL', 'sendUserNotification', 'sendUserActivity', 'setOrientation', 'setLocation',
+  'setURLBlacklist', 'enableSynchronization', 'disableSynchronization', 'resetContentAndSettings', 'shake',
+  'setBiometricEnrollment', 'matchFace', 'unmatchFace', 'matchFinger', 'unmatchFinger', 'clearKeychain',
+  'takeScreenshot', 'captureViewHierarchy', 'pressBack', 'setStatusBar', 'resetStatusBar', 'getUiDevice',
+]);
+
+// Matchers that combine the matcher they are called on with another one, e.g. by.id('a').withAncestor(by.id('b'))
+const COMBINING_MATCHERS = ['withAncestor', 'withDescendant', 'and'];
+
+/**
+ * Adds "elements" to every TestObj, HookObj, FunctionObj and MethodObj of a file (see findElements()).
+ */
+function addElements(fileDump) {
+  forEachCaller({ file: fileDump }, (caller) => {
+    caller.elements = findElements(caller.calls);
+  });
+  return fileDump;
+}
+
+/**
+ * Returns the UI elements that the given calls (e.g. those of a test) match with Detox matchers, and what is done with
+ * them, e.g.
+ *
+ *   await element(by.id('login')).atIndex(0).tap();   // { by: "id", value: "login", usage: "action", name: "tap", index: 0 }
+ *   await expect(element(by.text('Hi'))).not.toExist();   // { by: "text", value: "Hi", usage: "assertion", name: "toExist", not: true }
+ *   await waitFor(element(by.id('row'))).toBeVisible().whileElement(by.id('list')).scroll(50, 'down');
+ *     // { by: "id", value: "row", usage: "wait", name: "toBeVisible" }, { by: "id", value: "list", usage: "action", name: "scroll" }
+ *
+ * Calls are only linked to each other by char offsets (see CallObj "rootStart" and "arguments"), and matcher values
+ * come from "literalArguments", so are only known if they can be evaluated statically.
+ */
+function findElements(calls) {
+  const chains = new Map();  // rootStart => calls of the chain, e.g. by.id() then by.id().withAncestor()
+  calls.forEach((call) => {
+    chains.set(call.rootStart, [...(chains.get(call.rootStart) || []), call]);
+  });
+  const consumed = new Set();  // rootStart of matchers that are part of another element
+
+  function getMatcher(start) {
+    // Matcher whose expression starts at the given offset, if it is a by.*() call
+    const chain = chains.get(start) || [];
+    const base = chain.find((call) => /^by\.[\w.]+$/.test(call.name));
+    if (!base) {
+      return undefined;
+    }
+    consumed.add(start);
+    const matcher = { by: base.name.slice('by.'.length), ...getMatcherValue(base) };
+    chain.filter((call) => call !== base && call.name.startsWith(`${base.name}().`)).forEach((call) => {
+      const kind = call.name.split('.').at(-1);
+      const other = COMBINING_MATCHERS.includes(kind) && call.arguments[0] && getMatcher(call.arguments[0].start);
+      if (other && kind === 'and') {
+        matcher.and = [...(matcher.and || []), other];
+      } else if (other) {
+        matcher[kind] = other;
+      }
+    });
+    return matcher;
+  }
+
+  function getChainCall(rootStart, pattern) {
+    const call = (chains.get(rootStart) || []).find((c) => pattern.test(c.name));
+    return call && { call, match: call.name.match(pattern) };
+  }
+
+  const elements = [];
+  const addElement = (argument, usage) => {
+    const matcher = getMatcher(argument.start) || { unresolved: true };
+    elements.push({ ...matcher, ...usage, start: argument.start, end: argument.end });
+  };
+
+  calls.filter((call) => call.name === 'element' && call.arguments.length > 0).forEach((element) => {
+    const usage = { usage: 'element' };
+    const atIndex = getChainCall(element.rootStart, /^element\(\)\.atIndex$/);
+    if (atIndex && atIndex.call.literalArguments && typeof atIndex.call.literalArguments[0] === 'number') {
+      usage.index = atIndex.call.literalArguments[0];
+    }
+    const action = getChainCall(element.rootStart, /^element\(\)(?:\.atIndex\(\))?\.(?!atIndex$)(\w+)$/);
+    const wrapper = calls.find((call) => {
+      return ['expect', 'waitFor'].includes(call.name) && call.arguments[0] && call.arguments[0].start === element.rootStart;
+    });
+    if (action) {
+      Object.assign(usage, { usage: 'action', name: action.match[1] });
+    } else if (wrapper) {
+      const expectation = getChainCall(wrapper.rootStart, new RegExp(`^${wrapper.name}\\(\\)\\.(not\\.)?(\\w+)$`));
+      usage.usage = wrapper.name === 'expect' ? 'assertion' : 'wait';
+      if (expectation) {
+        usage.name = expectation.match[2];
+        if (expectation.match[1]) {
+          usage.not = true;
+        }
+      }
+      const whileElement = getChainCall(wrapper.rootStart, /^waitFor\(\).*\.whileElement$/);
+      if (whileElement && whileElement.call.arguments[0]) {
+        const scroll = getChainCall(wrapper.rootStart, new RegExp(`^${escapeRegExp(whileElement.call.name)}\\(\\)\\.(\\w+)$`));
+        addElement(whileElement.call.arguments[0], { usage: 'action', ...(scroll && { name: scroll.match[1] }) });
+      }
+    }
+    addElement(element.arguments[0], usage);
+  });
+
+  // Matchers not passed to element() here, e.g. passed to a helper that calls element() itself
+  calls.filter((call) => /^by\.[\w.]+$/.test(call.name) && !consumed.has(call.rootStart)).forEach((call) => {
+    const chain = chains.get(call.rootStart);
+    const end = Math.max(...chain.filter((c) => c.name.startsWith('by.')).map((c) => c.end));
+    addElement({ start: call.rootStart, end }, { usage: 'matcher' });
+  });
+
+  return elements.sort((a, b) => a.start - b.start);
+}
+
+function getMatcherValue(call) {
+  if (call.literalArguments && 0 in call.literalArguments) {
+    return { value: call.literalArguments[0] };
+  }
+  return call.arguments.length > 0 ? { unresolved: true } : {};
+}
+
+/**
+ * Returns testIDs used across the given dump, i.e. values of by.id() matchers, as Array of
+ * { id, usages: [{ filename, start, usage, name? }] } sorted by id, along with "unresolved", an Array of
+ * { filename, start } for by.id() matchers whose value could not be evaluated statically.
+ */
+function collectTestIds(dump) {
+  const usages = new Map();
+  const unresolved = [];
+  const visit = (matcher, filename, usage) => {
+    if (matcher.by === 'id' && typeof matcher.value === 'string') {
+      usages.set(matcher.value, [...(usages.get(matcher.value) || []), { filename, ...usage }]);
+    } else if (matcher.by === 'id') {
+      unresolved.push({ filename, start: usage.start });
+    }
+    COMBINING_MATCHERS.forEach((kind) => {
+      [].concat(matcher[kind] || []).forEach((other) => visit(other, filename, usage));
+    });
+  };
+  forEachCaller(dump, (caller, filename) => {
+    (caller.elements || []).forEach((element) => {
+      visit(element, filename, {
+        start: element.start,
+        usage: element.usage,
+        ...(element.name && { name: element.name }),
+      });
+    });
+  });
+  const ids = Array.from(usages.keys()).sort().map((id) => ({ id, usages: usages.get(id) }));
+  return { ids, unresolved };
+}
+
+/**
+ * Loads a plain-text list of testIDs, e.g. exported from the app, with one testID per line. Blank lines and lines
+ * starting with "#" are ignored.
+ */
+function loadTestIdList(filename) {
+  let content;
+  try {
+    content = fs.readFileSync(filename, 'utf8');
+  } catch (e) {
+    throw new ConfigError(`could not read testID list "${filename}": ${e.message}`);
+  }
+  return new Set(content.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#')));
+}
+
+module.exports = {
+  DETOX_ELEMENT_ACTIONS,
+  DETOX_EXPECTATIONS,
+  DETOX_DEVICE_METHODS,
+  addElements,
+  findElements,
+  collectTestIds,
+  loadTestIdList,
+}
@@ -0,0 +1,127 @@
+const { getFullTestName } = require('./utils');
+
+// Effective TestObj flags that are worth reporting when they change, unless custom modifiers are given
+const DEFAULT_TEST_FLAGS = ['skip', 'only', 'iosOnly', 'androidOnly'];
+
+/**
+ * Compares the tests of two dumps (e.g. the output of "shzm tests" at two revisions) and returns:
+ *   {
+ *     added: [TestRef],
+ *     removed: [TestRef],
+ *     renamed: [{ base: TestRef, head: TestRef }],   // same file, different name, same body
+ *     moved: [{ base: TestRef, head: TestRef }],     // different file, same name or same body
+ *     modified: [{ base: TestRef, head: TestRef }],  // same file and name, different body
+ *     flagsChanged: [{ base: TestRef, head: TestRef, added: [flag], removed: [flag] }],
+ *   }
+ * where TestRef is { filename, name, start, flags }, "name" being the full name of the test as reported by Jest.
+ * "flags" lists which of the given flags (e.g. set by modifiers, see getModifierFlags()) are set on the test.
+ *
+ * Tests are matched in the following order:
+ *  1. same file and same full name, i.e. scope names. If several tests share the same name, they are paired in order.
+ *  2. same full name in a different file
+ *  3. same body, in the same file first. Bodies are compared by "bodyHash", or by the calls they make (names and
+ *     static arguments) for dumps that predate it. In that case, tests that don't make any calls are never matched
+ *     by body.
+ */
+function diffTests(baseDump, headDump, flags = DEFAULT_TEST_FLAGS) {
+  const baseTests = listTests(baseDump, flags);
+  const headTests = listTests(headDump, flags);
+  const pairs = [];
+
+  matchTests(baseTests, headTests, pairs, (b, h) => b.filename === h.filename && b.name === h.name);
+  matchTests(baseTests, headTests, pairs, (b, h) => b.name === h.name);
+  matchTests(baseTests, headTests, pairs, (b, h) => b.filename === h.filename && b.body !== null && b.body === h.body);
+  matchTests(baseTests, headTests, pairs, (b, h) => b.body !== null && b.body === h.body);
+
+  const result = { added: [], removed: [], renamed: [], moved: [], modified: [], flagsChanged: [] };
+  pairs.forEach(({ base, head }) => {
+    const pair = { base: toTestRef(base), head: toTestRef(head) };
+    if (base.filename !== head.filename) {
+      result.moved.push(pair);
+    } else if (base.name !== head.name) {
+      result.renamed.push(pair);
+    } else if (base.body !== head.body) {
+      result.modified.push(pair);
+    }
+
+    const added = head.flags.filter((f) => !base.flags.includes(f));
+    const removed = base.flags.filter((f) => !head.flags.includes(f));
+    if (added.length > 0 || removed.length > 0) {
+      result.flagsChanged.push({ ...pair, added, removed });
+    }
+  });
+  result.added = headTests.filter((t) => !t.matched).map(toTestRef);
+  result.removed = baseTests.filter((t) => !t.matched).map(toTestRef);
+  return result;
+}
+
+function listTests(dump, flags) {
+  return Object.entries(dump).flatMap(([filename, fileDump]) => {
+    return ((fileDump && fileDump.tests) || []).map((test) => ({
+      filename,
+      name: getFullTestName(test),
+      start: test.start,
+      flags: flags.filter((flag) => test[flag]),
+      body: getBodySignature(test),
+      matched: false,
+    }));
+  });
+}
+
+function getBodySignature(test) {
+  if (test.bodyHash) {
+    return test.bodyHash;
+  }
+  if (!test.calls || test.calls.length === 0) {
+    return null;
+  }
+  return JSON.stringify(test.calls.map((call) => [call.name, call.literalArguments || {}]));
+}
+
+function matchTests(baseTests, headTests, pairs, isMatch) {
+  baseTests.filter((b) => !b.matched).forEach((base) => {
+    const head = headTests.find((h) => !h.matched && isMatch(base, h));
+    if (head) {
+      base.matched = true;
+      head.matched = true;
+      pairs.push({ base, head });
+    }
+  });
+}
+
+function toTestRef({ filename, name, start, flags }) {
+  return { filename, name, start, flags };
+}
+
+/**
+ * Returns human-readable report of the output of diffTests(), one test per line, grouped by kind of change.
+ */
+function formatTestDiff(result) {
+  const sections = [
+    ['Added', result.added, (t) => `+ ${t.filename}  ${t.name}`],
+    ['Removed', result.removed, (t) => `- ${t.filename}  ${t.name}`],
+    ['Renamed', result.renamed, ({ base, head }) => `~ ${base.filename}  ${base.name}  =>  ${head.name}`],
+    ['Moved', result.moved, ({ base, head }) => {
+      const name = base.name === head.name ? base.name : `${base.name}  =>  ${head.name}`;
+      return `> ${base.filename} => ${head.filename}  ${name}`;
+    }],
+    ['Modified', result.modified, ({ head }) => `* ${head.filename}  ${head.name}`],
+    ['Flags changed', result.flagsChanged, ({ head, added, removed }) => {
+      const changes = [...added.map((f) => `+${f}`), ...removed.map((f) => `-${f}`)].join(' ');
+      return `! ${head.filename}  ${head.name}  (${changes})`;
+    }],
+  ];
+
+  const lines = [];
+  sections.forEach(([title, items, format]) => {
+    if (items.length > 0) {
+      lines.push(`${title} (${items.length}):`, ...items.map((item) => `  ${format(item)}`), '');
+    }
+  });
+  return lines.length > 0 ? lines.join('\n').trimEnd() : 'No changes to tests';
+}
+
+module.exports = {
+  diffTests,
+  formatTestDiff,
+}
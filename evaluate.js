@@ -0,0 +1,520 @@
+const { resolveModulePath } = require('./graph');
+
+/**
+ * Minimal static evaluator, used to work out test names and call arguments where their values can be known without
+ * running the code, e.g.
+ *
+ *   const PREFIX = 'Login';
+ *   export const Users = Object.freeze({ ADMIN: 'admin' });
+ *
+ *   it(`${PREFIX} as ` + Users.ADMIN, ...)  // => "Login as admin"
+ *
+ * Only module-level "const" declarations and block-level "const" declarations within the code being evaluated are
+ * resolved. Anything else (function calls, "let" variables, function parameters, ...) is treated as unresolvable.
+ */
+
+/**
+ * Returned by evaluate() when the value of a node cannot be determined statically.
+ */
+const UNRESOLVED = Symbol('UNRESOLVED');
+
+/**
+ * Node types that represent a value which could in principle be determined statically. Used to decide whether it is
+ * worth reporting that something could not be resolved.
+ */
+const VALUE_NODE_TYPES = new Set([
+  'Identifier', 'MemberExpression', 'TemplateLiteral', 'BinaryExpression', 'UnaryExpression', 'ArrayExpression',
+  'ObjectExpression', 'SpreadElement',
+]);
+
+/**
+ * Returns scope containing module-level "const" declarations of the given AST, with:
+ *  - lookup(name): returns value of the given identifier, or UNRESOLVED
+ *  - isLocal(name): whether the identifier is declared within a function or block rather than at module level, i.e.
+ *    always false here, but see createChildScope()
+ *  - lookupExport(name): returns value of the given export ("default" for default export), or UNRESOLVED
+ *  - getExportNames(): returns Array of exported names, including those re-exported from other modules
+ *  - link({ imports, reexports }): makes values from other modules available. "imports" is a Map of local name to a
+ *    function returning the imported value, and "reexports" an Array of { exported, imported, scope }.
+ *
+ * Values are only evaluated when looked up.
+ */
+function createScope(ast) {
+  const declarations = new Map();  // local name => init node
+  const exports = new Map();  // exported name => node to evaluate within this scope
+  let imports = new Map();
+  let reexports = [];
+
+  ((ast && ast.body) || []).forEach((node) => {
+    const declaration = node.type === 'ExportNamedDeclaration' ? node.declaration : node;
+    if (declaration && declaration.type === 'VariableDeclaration' && declaration.kind === 'const') {
+      declaration.declarations.forEach((d) => {
+        if (d.id.type === 'Identifier' && d.init) {
+          declarations.set(d.id.name, d.init);
+          if (declaration !== node) {
+            exports.set(d.id.name, d.id);  // export const X = ...
+          }
+        }
+      });
+    } else if (node.type === 'ExportNamedDeclaration' && !node.source) {
+      node.specifiers.forEach((spec) => exports.set(spec.exported.name, spec.local));  // export { X as Y }
+    } else if (node.type === 'ExportDefaultDeclaration') {
+      exports.set('default', node.declaration);  // export default X
+    } else if (node.type === 'ExpressionStatement' && node.expression.type === 'AssignmentExpression') {
+      getCommonJsExports(node.expression).forEach(([name, valueNode]) => exports.set(name, valueNode));
+    }
+  });
+
+  const values = new Map();
+  const evaluating = new Set();
+
+  const scope = {
+    lookup(name) {
+      if (values.has(name)) {
+        return values.get(name);
+      }
+      if (declarations.has(name)) {
+        if (evaluating.has(name)) {  // circular reference
+          return UNRESOLVED;
+        }
+        evaluating.add(name);
+        const value = evaluate(declarations.get(name), scope);
+        evaluating.delete(name);
+        values.set(name, value);
+        return value;
+      }
+      if (imports.has(name)) {
+        const value = imports.get(name)();
+        values.set(name, value);
+        return value;
+      }
+      return UNRESOLVED;
+    },
+
+    isLocal() {
+      return false;
+    },
+
+    lookupExport(name, visited = new Set()) {
+      if (visited.has(scope)) {  // circular re-exports
+        return UNRESOLVED;
+      }
+      visited = new Set(visited).add(scope);
+
+      if (exports.has(name)) {
+        return evaluate(exports.get(name), scope);
+      }
+      for (const reexport of reexports) {
+        if (reexport.exported === name && reexport.imported !== '*') {
+          return reexport.scope.lookupExport(reexport.imported, visited);
+        } else if (reexport.exported === name) {
+          return reexport.scope.getNamespace();
+        } else if (reexport.exported === '*' && name !== 'default') {
+          const value = reexport.scope.lookupExport(name, visited);
+          if (value !== UNRESOLVED) {
+            return value;
+          }
+        }
+      }
+      return UNRESOLVED;
+    },
+
+    getExportNames(visited = new Set()) {
+      if (visited.has(scope)) {
+        return [];
+      }
+      visited.add(scope);
+      const names = new Set(exports.keys());
+      reexports.forEach((reexport) => {
+        if (reexport.exported === '*') {
+          reexport.scope.getExportNames(visited).filter((n) => n !== 'default').forEach((n) => names.add(n));
+        } else {
+          names.add(reexport.exported);
+        }
+      });
+      return Array.from(names);
+    },
+
+    getNamespace() {
+      // Object with all exports that could be resolved, as for "import * as X from '...'"
+      const namespace = {};
+      scope.getExportNames().forEach((name) => {
+        const value = scope.lookupExport(name);
+        if (value !== UNRESOLVED) {
+          namespace[name] = value;
+        }
+      });
+      return namespace;
+    },
+
+    link(linked) {
+      imports = linked.imports || imports;
+      reexports = linked.reexports || reexports;
+    },
+  };
+  return scope;
+}
+
+/**
+ * Returns async function(filename) that resolves to the scope of the given file, linked to the scopes of the files it
+ * imports from or re-exports, so that imported constants can be resolved. Scopes are cached, so each file is only
+ * loaded once.
+ *
+ * loadFile(filename) should return (a Promise of) { ast, imports } as returned by findImports(), or null if the file
+ * cannot be loaded. isFile(filename) tells whether a file exists, to resolve imports (see resolveModulePath()), and
+ * defaults to looking on disk, e.g. files should be looked up at the same revision as loadFile() reads them from git.
+ */
+function createScopeLoader(loadFile, isFile) {
+  const scopes = new Map();  // filename => Promise of scope
+  const linking = [];
+
+  function getScope(filename) {
+    if (!scopes.has(filename)) {
+      scopes.set(filename, (async () => {
+        const file = await loadFile(filename);
+        if (!file) {
+          return null;
+        }
+        const scope = createScope(file.ast);
+        // Not awaited here, since files may import each other
+        linking.push(linkScope(filename, scope, file, getScope, isFile));
+        return scope;
+      })());
+    }
+    return scopes.get(filename);
+  }
+
+  return async (filename) => {
+    const scope = await getScope(filename);
+    while (linking.length > 0) {
+      await linking.shift();
+    }
+    return scope;
+  };
+}
+
+async function linkScope(filename, scope, { ast, imports }, getScope, isFile) {
+  async function getModuleScope(source) {
+    const resolved = source.startsWith('.') ? resolveModulePath(filename, source, isFile) : undefined;
+    return resolved ? getScope(resolved) : null;
+  }
+
+  const linkedImports = new Map();
+  for (const { source, imported, local } of imports) {
+    const moduleScope = await getModuleScope(source);
+    if (moduleScope) {
+      linkedImports.set(local, () => imported === '*' ? moduleScope.getNamespace() : moduleScope.lookupExport(imported));
+    }
+  }
+
+  // "export * from './a'", "export * as a from './a'" and "export { a as b } from './a'"
+  const linkedReexports = [];
+  for (const node of ast.body) {
+    if (node.type === 'ExportAllDeclaration' || (node.type === 'ExportNamedDeclaration' && node.source)) {
+      const moduleScope = await getModuleScope(node.source.value);
+      if (!moduleScope) {
+        continue;
+      }
+      if (node.type === 'ExportAllDeclaration') {
+        linkedReexports.push({ exported: node.exported ? node.exported.name : '*', imported: '*', scope: moduleScope });
+      } else {
+        node.specifiers.forEach((spec) => {
+          linkedReexports.push({ exported: spec.exported.name, imported: spec.local.name, scope: moduleScope });
+        });
+      }
+    }
+  }
+
+  scope.link({ imports: linkedImports, reexports: linkedReexports });
+}
+
+function getCommonJsExports(assignment) {
+  // Returns Array of [exported name, value node] for "module.exports = { X }", "module.exports.X = ..." and "exports.X = ..."
+  const left = assignment.left;
+  if (assignment.operator !== '=' || left.type !== 'MemberExpression' || left.computed) {
+    return [];
+  }
+  const isModuleExports = (n) => n.type === 'MemberExpression' && !n.computed
+    && n.object.type === 'Identifier' && n.object.name === 'module' && n.property.name === 'exports';
+
+  if (isModuleExports(left)) {
+    if (assignment.right.type === 'ObjectExpression') {
+      return assignment.right.properties
+        .filter((p) => p.type === 'Property' && !p.computed && p.kind === 'init')
+        .map((p) => [p.key.type === 'Identifier' ? p.key.name : String(p.key.value), p.value]);
+    }
+    return [['default', assignment.right]];
+  }
+  if (isModuleExports(left.object) || (left.object.type === 'Identifier' && left.object.name === 'exports')) {
+    return [[left.property.name, assignment.right]];
+  }
+  return [];
+}
+
+/**
+ * Returns a scope that wraps the given scope, taking into account declarations made within the given ancestor nodes
+ * (e.g. as passed by acorn-walk's ancestor walker). Function params and non-const declarations shadow identifiers of
+ * the same name in the parent scope, while block-level "const" declarations can be resolved.
+ */
+function createChildScope(scope, ancestors) {
+  const declarations = new Map();
+  const shadowed = new Set();
+
+  ancestors.forEach((node) => {
+    if (['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type)) {
+      node.params.forEach((param) => getPatternNames(param).forEach((name) => shadowed.add(name)));
+    } else if (node.type === 'CatchClause' && node.param) {
+      getPatternNames(node.param).forEach((name) => shadowed.add(name));
+    } else if (['ForStatement', 'ForInStatement', 'ForOfStatement'].includes(node.type)) {
+      const declaration = node.type === 'ForStatement' ? node.init : node.left;
+      if (declaration && declaration.type === 'VariableDeclaration') {
+        declaration.declarations.forEach((d) => getPatternNames(d.id).forEach((name) => shadowed.add(name)));
+      }
+    } else if (node.type === 'BlockStatement') {
+      node.body.forEach((statement) => {
+        if (statement.type === 'VariableDeclaration') {
+          statement.declarations.forEach((d) => {
+            if (statement.kind === 'const' && d.id.type === 'Identifier' && d.init) {
+              declarations.set(d.id.name, d.init);
+            } else {
+              getPatternNames(d.id).forEach((name) => shadowed.add(name));
+            }
+          });
+        } else if ((statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration') && statement.id) {
+          shadowed.add(statement.id.name);
+        }
+      });
+    }
+  });
+
+  if (declarations.size === 0 && shadowed.size === 0) {
+    return scope;
+  }
+
+  const values = new Map();
+  const evaluating = new Set();
+  const childScope = {
+    ...scope,
+    lookup(name) {
+      if (values.has(name)) {
+        return values.get(name);
+      }
+      if (declarations.has(name)) {
+        if (evaluating.has(name)) {
+          return UNRESOLVED;
+        }
+        evaluating.add(name);
+        const value = evaluate(declarations.get(name), childScope);
+        evaluating.delete(name);
+        values.set(name, value);
+        return value;
+      }
+      return shadowed.has(name) ? UNRESOLVED : scope.lookup(name);
+    },
+    isLocal(name) {
+      return declarations.has(name) || shadowed.has(name) || scope.isLocal(name);
+    },
+  };
+  return childScope;
+}
+
+function getPatternNames(pattern) {
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'AssignmentPattern':
+      return getPatternNames(pattern.left);
+    case 'RestElement':
+      return getPatternNames(pattern.argument);
+    case 'ArrayPattern':
+      return pattern.elements.filter((e) => e).flatMap(getPatternNames);
+    case 'ObjectPattern':
+      return pattern.properties.flatMap((p) => getPatternNames(p.type === 'RestElement' ? p : p.value));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Returns the value of the given expression node, or UNRESOLVED if it cannot be determined statically.
+ */
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'Literal':
+      return node.regex ? UNRESOLVED : node.value;
+
+    case 'Identifier':
+      return node.name === 'undefined' ? UNRESOLVED : scope.lookup(node.name);
+
+    case 'TemplateLiteral': {
+      const parts = node.expressions.map((e) => evaluate(e, scope));
+      if (parts.some((p) => p === UNRESOLVED)) {
+        return UNRESOLVED;
+      }
+      return node.quasis.map((q, i) => q.value.cooked + (i < parts.length ? String(parts[i]) : '')).join('');
+    }
+
+    case 'BinaryExpression': {
+      const left = evaluate(node.left, scope);
+      const right = left === UNRESOLVED ? UNRESOLVED : evaluate(node.right, scope);
+      if (right === UNRESOLVED || !isPrimitive(left) || !isPrimitive(right)) {
+        return UNRESOLVED;
+      }
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        default: return UNRESOLVED;
+      }
+    }
+
+    case 'UnaryExpression': {
+      const argument = evaluate(node.argument, scope);
+      if (argument === UNRESOLVED || !isPrimitive(argument)) {
+        return UNRESOLVED;
+      }
+      switch (node.operator) {
+        case '-': return -argument;
+        case '+': return +argument;
+        case '!': return !argument;
+        default: return UNRESOLVED;
+      }
+    }
+
+    case 'MemberExpression': {
+      const object = evaluate(node.object, scope);
+      if (object === UNRESOLVED || object === null || object === undefined) {
+        return UNRESOLVED;
+      }
+      const property = node.computed ? evaluate(node.property, scope) : node.property.name;
+      if (property === UNRESOLVED || !Object.prototype.hasOwnProperty.call(object, property)) {
+        return UNRESOLVED;
+      }
+      return object[property];
+    }
+
+    case 'ArrayExpression': {
+      const output = [];
+      for (const element of node.elements) {
+        if (!element) {  // hole, e.g. [1, , 2]
+          return UNRESOLVED;
+        }
+        const value = evaluate(element.type === 'SpreadElement' ? element.argument : element, scope);
+        if (value === UNRESOLVED || (element.type === 'SpreadElement' && !Array.isArray(value))) {
+          return UNRESOLVED;
+        }
+        element.type === 'SpreadElement' ? output.push(...value) : output.push(value);
+      }
+      return output;
+    }
+
+    case 'ObjectExpression': {
+      const output = {};
+      for (const prop of node.properties) {
+        if (prop.type === 'SpreadElement') {
+          const value = evaluate(prop.argument, scope);
+          if (value === UNRESOLVED || typeof value !== 'object' || value === null) {
+            return UNRESOLVED;
+          }
+          Object.assign(output, value);
+          continue;
+        }
+        if (prop.kind !== 'init' || prop.method) {
+          return UNRESOLVED;
+        }
+        const key = prop.computed ? evaluate(prop.key, scope) : (prop.key.type === 'Identifier' ? prop.key.name : prop.key.value);
+        const value = evaluate(prop.value, scope);
+        if (key === UNRESOLVED || value === UNRESOLVED) {
+          return UNRESOLVED;
+        }
+        output[key] = value;
+      }
+      return output;
+    }
+
+    case 'CallExpression':
+      // Object.freeze({ ... }) is commonly used for enum-like constants
+      if (node.callee.type === 'MemberExpression' && !node.callee.computed
+        && node.callee.object.type === 'Identifier' && node.callee.object.name === 'Object'
+        && node.callee.property.name === 'freeze' && node.arguments.length === 1) {
+        return evaluate(node.arguments[0], scope);
+      }
+      return UNRESOLVED;
+
+    default:
+      return UNRESOLVED;
+  }
+}
+
+function isPrimitive(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Evaluates node as a string, e.g. for test names. Parts that cannot be resolved are replaced with "${<expression>}".
+ *
+ * Returns { value, unresolved } where "unresolved" lists the expressions that could not be resolved, or undefined if
+ * node is not something that can be turned into a string.
+ */
+function evaluateToString(node, scope) {
+  const value = evaluate(node, scope);
+  if (value !== UNRESOLVED && isPrimitive(value)) {
+    return { value: String(value), unresolved: [] };
+  }
+
+  if (node.type === 'TemplateLiteral') {
+    const unresolved = [];
+    const parts = node.quasis.map((q, i) => {
+      if (i >= node.expressions.length) {
+        return q.value.raw;
+      }
+      const part = evaluateToString(node.expressions[i], scope);
+      if (!part) {
+        const text = describeNode(node.expressions[i]);
+        unresolved.push(text);
+        return `${q.value.raw}\${${text}}`;
+      }
+      unresolved.push(...part.unresolved);
+      return q.value.raw + part.value;
+    });
+    return { value: parts.join(''), unresolved };
+  } else if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const left = evaluateToString(node.left, scope);
+    const right = evaluateToString(node.right, scope);
+    if (left && right) {
+      return { value: left.value + right.value, unresolved: [...left.unresolved, ...right.unresolved] };
+    }
+  } else if (node.type === 'Identifier' || node.type === 'MemberExpression') {
+    const text = describeNode(node);
+    return { value: `\${${text}}`, unresolved: [text] };
+  }
+  return undefined;
+}
+
+function describeNode(node) {
+  // Returns a short textual representation of an expression, e.g. "user.name" or "getName()"
+  switch (node.type) {
+    case 'Identifier':
+      return node.name;
+    case 'ThisExpression':
+      return 'this';
+    case 'MemberExpression':
+      return describeNode(node.object) + (node.computed ? '[...]' : `.${node.property.name}`);
+    case 'CallExpression':
+      return describeNode(node.callee) + '()';
+    default:
+      return '...';
+  }
+}
+
+module.exports = {
+  UNRESOLVED,
+  VALUE_NODE_TYPES,
+  createScope,
+  createScopeLoader,
+  createChildScope,
+  evaluate,
+  evaluateToString,
+}
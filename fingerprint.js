@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// AST attributes that depend on formatting rather than on what the code does
+const IGNORED_KEYS = new Set(['start', 'end', 'loc', 'range', 'raw']);
+
+/**
+ * Returns hash of the given AST node that ignores comments, whitespace and positions, so that it only changes if the
+ * code itself changes. Literals are compared by value, e.g. 'a' and "a" hash the same.
+ *
+ * The name of a function node is left out too, so that renaming a function does not change its hash, as is already
+ * the case for arrow functions.
+ */
+function hashNode(node) {
+  const implementation = node.id ? { ...node, id: null } : node;
+  return hash(JSON.stringify(implementation, (key, value) => {
+    if (IGNORED_KEYS.has(key)) {
+      return undefined;
+    }
+    return typeof value === 'bigint' ? value.toString() : value;
+  }));
+}
+
+/**
+ * Adds a stable "id" to every TestObj, HookObj and FunctionObj of a file, based on the file path (relative to the
+ * given root dir, see getProjectRoot() in config.js) and:
+ *  - for tests, the names of the test and its parent describe() blocks
+ *  - for hooks, the type of hook and the names of its parent describe() blocks
+ *  - for functions, the exported name
+ *
+ * Unlike char offsets, ids don't change when code is added or removed around them. Tests and hooks that would
+ * otherwise share the same id are told apart by the order in which they are declared.
+ */
+function addIds(filename, fileDump, root = process.cwd()) {
+  const file = path.relative(root, path.resolve(filename)).split(path.sep).join('/');
+  const occurrences = new Map();
+  const getId = (...parts) => {
+    const key = JSON.stringify([file, ...parts]);
+    const count = occurrences.get(key) || 0;
+    occurrences.set(key, count + 1);
+    return hash(count > 0 ? `${key}#${count}` : key);
+  };
+
+  (fileDump.tests || []).forEach((test) => {
+    test.id = getId('test', ...test.scope.map((s) => s.name));
+  });
+  Object.entries(fileDump.hooks || {}).forEach(([hookName, hooks]) => {
+    hooks.forEach((hook) => {
+      hook.id = getId(hookName, ...hook.scope.map((s) => s.name));
+    });
+  });
+  (fileDump.functions || []).forEach((func) => {
+    func.id = getId('function', func.name);
+  });
+  return fileDump;
+}
+
+function hash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  hashNode,
+  addIds,
+}
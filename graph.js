@@ -0,0 +1,438 @@
+const path = require("path");
+const fs = require("fs");
+const { forEachCaller, getFullTestName } = require('./utils');
+
+/**
+ * Suffixes to try when resolving a relative import source to a file, in order of precedence.
+ */
+const MODULE_SUFFIXES = ['', '.js', '.jsx', '.ts', '.tsx', '/index.js', '/index.jsx', '/index.ts', '/index.tsx'];
+
+/**
+ * Identifiers provided by Detox, Jest or the JS runtime. Calls rooted on these are not expected to resolve to any
+ * parsed function, so they are not reported as unresolved.
+ */
+const KNOWN_GLOBALS = new Set([
+  // Detox
+  'device', 'element', 'by', 'waitFor', 'expect', 'web', 'system',
+  // Jest
+  'jest', 'describe', 'it', 'test', 'beforeAll', 'beforeEach', 'afterAll', 'afterEach',
+  // JS runtime
+  'this', 'console', 'require', 'Promise', 'Object', 'Array', 'JSON', 'Math', 'Date', 'String', 'Number', 'Boolean',
+  'Error', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'parseInt', 'parseFloat',
+]);
+
+/**
+ * Resolves each CallObj in the given dump to the exported function it calls, by following the "imports" of each
+ * file. Resolved calls are updated in place with a "resolved": { filename, name } attribute.
+ *
+ * Files that are imported but not part of the dump are loaded via loadFile(filename), which should return an object
+ * with "functions", "reexports" and "imports" (or null if the file cannot be parsed). Calls made by those functions are resolved
+ * too, so the returned "files" includes all files reached by following imports.
+ *
+ * Returns { files, unresolved } where "unresolved" is an Array of { filename, name, start, reason } for calls that
+ * look like they should resolve to a parsed function but could not be.
+ */
+async function linkCalls(dump, loadFile) {
+  const files = { ...dump };
+  const unresolved = [];
+  const queue = Object.keys(files);
+
+  async function getFile(filename) {
+    if (!(filename in files)) {
+      files[filename] = await loadFile(filename);
+      if (files[filename]) {
+        queue.push(filename);
+      }
+    }
+    return files[filename];
+  }
+
+  while (queue.length > 0) {
+    const filename = queue.shift();
+    const fileDump = files[filename];
+
+    const calls = [];
+    forEachCaller({ [filename]: fileDump }, (caller, _, classObj) => {
+      calls.push(...caller.calls.map((call) => ({ call, classObj })));
+    });
+    for (const { call, classObj } of calls) {
+      const { target, reason } = await resolveCall(filename, fileDump, call, classObj, getFile);
+      if (target) {
+        call.resolved = target;
+      } else if (reason) {
+        unresolved.push({ filename, name: call.name, start: call.start, reason });
+      }
+    }
+  }
+
+  return { files, unresolved };
+}
+
+/**
+ * Returns { target } if call could be resolved, { reason } if it could not, or {} if this is not a call we expect to
+ * be able to resolve (e.g. calls on Detox/Jest globals, or on local variables and parameters).
+ */
+async function resolveCall(filename, fileDump, call, classObj, getFile) {
+  const parts = call.name.split('.');
+  const root = parts[0];
+  if (root === 'this' && classObj && parts.length === 2) {
+    // this.tap() within a class method
+    const method = classObj.methods.find((m) => m.name === parts[1]);
+    return method ? { target: { filename, name: getMethodName(classObj, method) } } : {};
+  }
+  if (KNOWN_GLOBALS.has(root.replace(/\(\)$/, '')) || call.local) {
+    return {};
+  }
+
+  const importObj = (fileDump.imports || []).find((i) => i.local === root);
+  if (!importObj) {
+    // Not imported, so the only thing we can match on is a function exported from the same file
+    const localFunc = parts.length === 1 && (fileDump.functions || []).find((f) => (f.localName || f.name) === root);
+    return localFunc ? { target: { filename, name: localFunc.name } } : { reason: 'unknown-identifier' };
+  }
+
+  if (!importObj.source.startsWith('.')) {
+    return { reason: 'external-module' };
+  }
+  const targetFilename = resolveModulePath(filename, importObj.source);
+  if (!targetFilename || !await getFile(targetFilename)) {
+    return { reason: 'module-not-found' };
+  }
+
+  if (importObj.imported === '*' && parts.length === 2) {
+    // import * as helpers from './helpers'; helpers.loginAs()
+    // const helpers = require('./helpers'); helpers.loginAs()
+    const target = await resolveExport(targetFilename, parts[1], getFile);
+    if (target && !target.classObj) {
+      return { target };
+    }
+  }
+  if (parts.length > 2) {
+    return { reason: 'unsupported-call' };
+  }
+
+  // import loginAs from './loginAs'; loginAs()
+  // const loginAs = require('./loginAs'); loginAs()
+  // import { loginAs } from './helpers'; loginAs()
+  // import loginScreen from './LoginScreen'; loginScreen.login()
+  const exportedName = importObj.imported === '*' ? 'default' : importObj.imported;
+  const target = await resolveExport(targetFilename, exportedName, getFile);
+  if (!target) {
+    return { reason: 'export-not-found' };
+  }
+  if (!target.classObj) {
+    return parts.length === 1 ? { target } : { reason: 'unsupported-call' };
+  }
+  if (parts.length === 1) {  // calling a class or instance directly is not a thing
+    return { reason: 'unsupported-call' };
+  }
+
+  // Static methods are called on the class, others on an instance
+  const isStatic = !target.instance;
+  const method = target.classObj.methods.find((m) => m.name === parts[1] && !!m.static === isStatic);
+  return method
+    ? { target: { filename: target.filename, name: getMethodName(target.classObj, method) } }
+    : { reason: 'export-not-found' };
+}
+
+function getMethodName(classObj, method) {
+  return `${classObj.name}.${method.name}`;
+}
+
+/**
+ * Returns { filename, name } of the function that implements the given export of a file, following re-exports
+ * (e.g. "export { a as b } from './a'" or "export * from './a'") across files as required. Returns undefined if
+ * the export could not be found.
+ *
+ * If the export is a class or class instance, the ClassObj is included as "classObj", with "instance" set if it is
+ * an instance.
+ */
+async function resolveExport(filename, exportedName, getFile, visited = new Set()) {
+  const key = `${filename}#${exportedName}`;
+  if (visited.has(key)) {  // circular re-exports
+    return undefined;
+  }
+  visited.add(key);
+
+  const fileDump = await getFile(filename);
+  if (!fileDump) {
+    return undefined;
+  }
+
+  const func = (fileDump.functions || []).find((f) => exportedName === 'default' ? f.default : f.name === exportedName);
+  if (func) {
+    return { filename, name: func.name };
+  }
+
+  for (const classObj of fileDump.classes || []) {
+    const classExport = classObj.exports.find((e) => e.name === exportedName);
+    if (classExport) {
+      return { filename, name: classObj.name, classObj, ...(classExport.instance && { instance: true }) };
+    }
+  }
+
+  for (const reexport of fileDump.reexports || []) {
+    let importedName;
+    if (reexport.exported === exportedName && reexport.imported !== '*') {
+      importedName = reexport.imported;
+    } else if (reexport.exported === '*' && exportedName !== 'default') {  // "export *" does not include default
+      importedName = exportedName;
+    } else {
+      continue;
+    }
+    const sourceFilename = reexport.source.startsWith('.') && resolveModulePath(filename, reexport.source);
+    const target = sourceFilename && await resolveExport(sourceFilename, importedName, getFile, visited);
+    if (target) {
+      return target;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Returns Array of { exported, filename, name, class?, instance? } for all functions and classes exported by a file,
+ * including those re-exported from other files.
+ */
+async function listExports(filename, getFile, visited = new Set()) {
+  if (visited.has(filename)) {  // circular re-exports
+    return [];
+  }
+  visited.add(filename);
+
+  const fileDump = await getFile(filename);
+  if (!fileDump) {
+    return [];
+  }
+
+  const exports = (fileDump.functions || []).map((f) => ({ exported: f.default ? 'default' : f.name, filename, name: f.name }));
+  (fileDump.classes || []).forEach((classObj) => {
+    classObj.exports.forEach((e) => {
+      exports.push({ exported: e.name, filename, name: classObj.name, class: true, ...(e.instance && { instance: true }) });
+    });
+  });
+  for (const reexport of fileDump.reexports || []) {
+    exports.push(...await resolveReexport(filename, reexport, getFile, visited));
+  }
+  return exports;
+}
+
+async function resolveReexport(filename, reexport, getFile, visited = new Set()) {
+  const sourceFilename = reexport.source.startsWith('.') && resolveModulePath(filename, reexport.source);
+  if (!sourceFilename) {
+    return [];
+  }
+  if (reexport.exported === '*') {
+    const exports = await listExports(sourceFilename, getFile, visited);
+    return exports.filter((e) => e.exported !== 'default');
+  }
+  if (reexport.imported === '*') {  // "export * as ns from './a'" exports a namespace rather than a function
+    return [];
+  }
+  const target = await resolveExport(sourceFilename, reexport.imported, getFile);
+  if (!target) {
+    return [];
+  }
+  return [{
+    exported: reexport.exported,
+    filename: target.filename,
+    name: target.name,
+    ...(target.classObj && { class: true }),
+    ...(target.instance && { instance: true })
+  }];
+}
+
+/**
+ * Follows each re-export in the given dump (see findExportedFunc()) to the file and function that actually implements
+ * it. Re-exports are updated in place with a "resolved" attribute, an Array of { exported, filename, name } since
+ * "export * from './a'" may export many functions.
+ *
+ * Files that are not part of the dump are loaded via loadFile(filename), as with linkCalls().
+ */
+async function resolveReexports(dump, loadFile) {
+  const files = { ...dump };
+  async function getFile(filename) {
+    if (!(filename in files)) {
+      files[filename] = await loadFile(filename);
+    }
+    return files[filename];
+  }
+
+  for (const [filename, fileDump] of Object.entries(dump)) {
+    for (const reexport of (fileDump && fileDump.reexports) || []) {
+      reexport.resolved = await resolveReexport(filename, reexport, getFile);
+    }
+  }
+}
+
+/**
+ * Resolves names that files refer to other than by calling them, e.g. "loginAs" in "retry(loginAs)", the same way
+ * linkCalls() resolves calls. "references" is an Array of { filename, name, ... } and only files already in "files"
+ * (e.g. as returned by linkCalls()) are looked at. Returns the references that resolve to a function, each with "to"
+ * set to the id of that function (see buildCallGraph()).
+ */
+async function resolveReferences(files, references) {
+  const getFile = async (filename) => files[filename] || null;
+  const resolved = [];
+  for (const reference of references) {
+    const { target } = await resolveCall(reference.filename, files[reference.filename], reference, null, getFile);
+    if (target) {
+      resolved.push({ ...reference, to: getFunctionId(target.filename, target.name) });
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Returns the file that a relative import source (e.g. "./helpers") refers to, trying each of MODULE_SUFFIXES, or
+ * undefined if there is none. isFile(filename) tells whether a file exists, and defaults to looking on disk.
+ */
+function resolveModulePath(fromFilename, source, isFile = isFileOnDisk) {
+  const base = path.join(path.dirname(fromFilename), source);
+  return MODULE_SUFFIXES.map((suffix) => base + suffix).find(isFile);
+}
+
+function isFileOnDisk(filename) {
+  return fs.existsSync(filename) && fs.statSync(filename).isFile();
+}
+
+/**
+ * Given files with calls already linked by linkCalls(), returns:
+ *   {
+ *     functions: { [id]: { filename, name, className?, start, calls: [id], calledBy: [id] } },
+ *     tests: { [id]: { filename, name, start, calls: [id] } },
+ *     hooks: { [id]: { filename, hook, name, start, calls: [id] } },
+ *   }
+ *
+ * Functions are identified by "<filename>#<name>", tests and hooks by "<filename>:<start>". Class methods are
+ * included as functions, with "<class name>.<method name>" as name.
+ */
+function buildCallGraph(files) {
+  const graph = { functions: {}, tests: {}, hooks: {} };
+
+  Object.entries(files).forEach(([filename, fileDump]) => {
+    if (!fileDump) {
+      return;
+    }
+    (fileDump.functions || []).forEach((func) => {
+      graph.functions[getFunctionId(filename, func.name)] = {
+        filename,
+        name: func.name,
+        start: func.start,
+        calls: getCallTargets(func),
+        calledBy: [],
+      };
+    });
+    (fileDump.classes || []).forEach((classObj) => {
+      classObj.methods.forEach((method) => {
+        const id = getFunctionId(filename, getMethodName(classObj, method));
+        if (graph.functions[id]) {  // getter and setter with the same name
+          graph.functions[id].calls = Array.from(new Set([...graph.functions[id].calls, ...getCallTargets(method)]));
+          return;
+        }
+        graph.functions[id] = {
+          filename,
+          name: getMethodName(classObj, method),
+          className: classObj.name,
+          start: method.start,
+          calls: getCallTargets(method),
+          calledBy: [],
+        };
+      });
+    });
+    (fileDump.tests || []).forEach((test) => {
+      graph.tests[`${filename}:${test.start}`] = {
+        filename,
+        name: getFullTestName(test),
+        start: test.start,
+        calls: getCallTargets(test),
+      };
+    });
+    Object.entries(fileDump.hooks || {}).forEach(([hookName, hooks]) => {
+      hooks.forEach((hook) => {
+        graph.hooks[`${filename}:${hook.start}`] = {
+          filename,
+          hook: hookName,
+          name: hook.scope.map((s) => s.name).join(' '),
+          start: hook.start,
+          calls: getCallTargets(hook),
+        };
+      });
+    });
+  });
+
+  [graph.functions, graph.tests, graph.hooks].forEach((nodes) => {
+    Object.entries(nodes).forEach(([id, node]) => {
+      node.calls.forEach((targetId) => graph.functions[targetId].calledBy.push(id));
+    });
+  });
+
+  return graph;
+}
+
+function getFunctionId(filename, name) {
+  return `${filename}#${name}`;
+}
+
+function getCallTargets(caller) {
+  const targets = caller.calls
+    .filter((call) => call.resolved)
+    .map((call) => getFunctionId(call.resolved.filename, call.resolved.name));
+  return Array.from(new Set(targets));
+}
+
+/**
+ * Returns ids of all functions in the graph matching the given function id or name.
+ */
+function findFunctionIds(graph, idOrName) {
+  return Object.keys(graph.functions).filter((id) => id === idOrName || graph.functions[id].name === idOrName);
+}
+
+/**
+ * Returns { functions, tests, hooks } that directly or transitively call the given function.
+ */
+function findCallers(graph, idOrName) {
+  const visited = walkGraph(findFunctionIds(graph, idOrName), (id) => (graph.functions[id] || {}).calledBy || []);
+  return {
+    functions: visited.filter((id) => graph.functions[id]),
+    tests: visited.filter((id) => graph.tests[id]).map((id) => graph.tests[id]),
+    hooks: visited.filter((id) => graph.hooks[id]).map((id) => graph.hooks[id]),
+  };
+}
+
+/**
+ * Returns { functions } that are directly or transitively called by the given function.
+ */
+function findCallees(graph, idOrName) {
+  return {
+    functions: walkGraph(findFunctionIds(graph, idOrName), (id) => graph.functions[id].calls),
+  };
+}
+
+/**
+ * Breadth-first walk from the given start ids, returning all visited ids excluding the start ids themselves.
+ */
+function walkGraph(startIds, getNext) {
+  const visited = new Set(startIds);
+  const queue = [...startIds];
+  while (queue.length > 0) {
+    getNext(queue.shift()).forEach((id) => {
+      if (!visited.has(id)) {
+        visited.add(id);
+        queue.push(id);
+      }
+    });
+  }
+  startIds.forEach((id) => visited.delete(id));
+  return Array.from(visited);
+}
+
+module.exports = {
+  linkCalls,
+  resolveReexports,
+  buildCallGraph,
+  findCallers,
+  findCallees,
+  resolveReferences,
+  resolveModulePath,
+  getFunctionId,
+}
@@ -0,0 +1,300 @@
+// Types for the Node API (see index.js). Objects are described in more detail in README.md.
+
+/** Output of "shzm dump", or of analyze(): filename => results for that file */
+export type DumpObj = { [filename: string]: FileObj };
+
+/** Results for one file, or { errors } if the file could not be parsed */
+export type FileObj = FileResultObj | FileErrorsObj;
+
+export interface FileResultObj {
+  functions: FunctionObj[];
+  classes: ClassObj[];
+  reexports: ReexportObj[];
+  imports: ImportObj[];
+  tests: TestObj[];
+  hooks: HooksObj;
+}
+
+export interface FileErrorsObj {
+  errors: ErrorObj[];
+}
+
+export interface HooksObj {
+  beforeAll: HookObj[];
+  beforeEach: HookObj[];
+  afterAll: HookObj[];
+  afterEach: HookObj[];
+}
+
+/** With the "locations" option, line and column (both starting from 1) of each char offset attribute */
+export type LocationsObj = { [offsetKey: string]: { line: number; col: number } };
+
+export interface FunctionObj {
+  name: string;
+  start: number;
+  end: number;
+  exportStart: number;
+  exportEnd: number;
+  funcStart: number;
+  funcEnd: number;
+  id: string;
+  bodyHash: string;
+  calls: CallObj[];
+  elements: ElementObj[];
+  async?: boolean;
+  localName?: string;
+  default?: boolean;
+  tags?: TagObj[];
+  locations?: LocationsObj;
+}
+
+export interface ClassObj {
+  name: string;
+  start: number;
+  end: number;
+  exports: Array<{ name: string; start: number; end: number; instance?: boolean; locations?: LocationsObj }>;
+  methods: MethodObj[];
+  locations?: LocationsObj;
+}
+
+export interface MethodObj {
+  name: string;
+  kind: 'constructor' | 'method' | 'get' | 'set' | 'field';
+  start: number;
+  end: number;
+  funcStart: number;
+  funcEnd: number;
+  calls: CallObj[];
+  elements: ElementObj[];
+  async?: boolean;
+  static?: boolean;
+  locations?: LocationsObj;
+}
+
+export interface ReexportObj {
+  source: string;
+  imported: string;
+  exported: string;
+  start: number;
+  end: number;
+  /** Only with the "followReexports" option */
+  resolved?: Array<{ exported: string; filename: string; name: string; class?: boolean; instance?: boolean }>;
+  locations?: LocationsObj;
+}
+
+export interface ImportObj {
+  source: string;
+  imported: string;
+  local: string;
+  start: number;
+  end: number;
+  locations?: LocationsObj;
+}
+
+export interface TestObj {
+  scope: ScopeObj[];
+  start: number;
+  end: number;
+  funcStart: number;
+  funcEnd: number;
+  id: string;
+  bodyHash: string;
+  async?: boolean;
+  skip?: boolean;
+  only?: boolean;
+  iosOnly?: boolean;
+  androidOnly?: boolean;
+  each?: boolean;
+  tags?: TagObj[];
+  calls: CallObj[];
+  elements: ElementObj[];
+  tryStatements: TryObj[];
+  /** Only with the "hookChain" option, or "hookChain" in config */
+  hookChain?: HookRefObj[];
+  locations?: LocationsObj;
+  /** Flags of custom modifiers, e.g. "flaky" */
+  [flag: string]: unknown;
+}
+
+export interface HookRefObj {
+  hook: 'beforeAll' | 'beforeEach' | 'afterEach' | 'afterAll';
+  index: number;
+  start: number;
+}
+
+export interface HookObj {
+  scope: ScopeObj[];
+  start: number;
+  end: number;
+  funcStart: number;
+  funcEnd: number;
+  id: string;
+  bodyHash: string;
+  async?: boolean;
+  skip?: boolean;
+  only?: boolean;
+  iosOnly?: boolean;
+  androidOnly?: boolean;
+  calls: CallObj[];
+  elements: ElementObj[];
+  tryStatements: TryObj[];
+  tags?: TagObj[];
+  locations?: LocationsObj;
+  /** Flags of inherited custom modifiers */
+  [flag: string]: unknown;
+}
+
+export interface CallObj {
+  name: string;
+  start: number;
+  rootStart: number;
+  end: number;
+  await: boolean;
+  result: 'awaited' | 'returned' | 'combined' | 'chained' | 'ignored' | 'used';
+  context?: ContextObj[];
+  arguments: ArgumentObj[];
+  literalArguments?: { [index: number]: unknown };
+  unresolvedArguments?: number[];
+  /** The call is made on a local variable or parameter, e.g. "users.forEach()", so is not linked to any function */
+  local?: boolean;
+  apiSyncDisabled?: boolean;
+  apiWaitAfter?: boolean;
+  errors?: DeferredErrorObj[];
+  resolved?: { filename: string; name: string };
+  locations?: LocationsObj;
+}
+
+/** Detox matcher, e.g. by.id('login') */
+export interface MatcherObj {
+  /** Matcher used, e.g. "id" for by.id(). Not set if the matcher is not a by.*() call, e.g. a variable */
+  by?: string;
+  value?: unknown;
+  unresolved?: boolean;
+  withAncestor?: MatcherObj;
+  withDescendant?: MatcherObj;
+  and?: MatcherObj[];
+}
+
+/** UI element matched by a test, hook or function, and what is done with it */
+export interface ElementObj extends MatcherObj {
+  usage: 'action' | 'assertion' | 'wait' | 'element' | 'matcher';
+  name?: string;
+  not?: boolean;
+  index?: number;
+  start: number;
+  end: number;
+  locations?: LocationsObj;
+}
+
+export interface ContextObj {
+  type: 'conditional' | 'loop' | 'try' | 'catch' | 'finally' | 'function';
+  kind?: string;
+  start: number;
+  end: number;
+  argumentOf?: string;
+  locations?: LocationsObj;
+}
+
+export interface ScopeObj {
+  func: string;
+  name: string;
+  unresolved?: string[];
+  start: number;
+  end: number;
+  skip?: boolean;
+  only?: boolean;
+  iosOnly?: boolean;
+  androidOnly?: boolean;
+  each?: boolean;
+  table?: unknown[];
+  names?: string[];
+  tags?: TagObj[];
+  locations?: LocationsObj;
+  /** Flags of custom modifiers, e.g. "tabletOnly" */
+  [flag: string]: unknown;
+}
+
+export interface TagObj {
+  name: string;
+  value?: string;
+}
+
+export interface TryObj {
+  start: number;
+  end: number;
+  locations?: LocationsObj;
+}
+
+export interface ArgumentObj {
+  type: string;
+  start: number;
+  end: number;
+  locations?: LocationsObj;
+}
+
+export interface ErrorObj {
+  type: 'syntax' | 'parse-limitation' | 'skipped';
+  message: string;
+  start?: number;
+  line?: number;
+  col?: number;
+}
+
+export interface DeferredErrorObj {
+  message: string;
+  loc: number;
+}
+
+/** Content of shzm.config.js */
+export interface ShzmConfig {
+  testIdentifiers?: string[];
+  describeIdentifiers?: string[];
+  hookChain?: boolean;
+  modifiers?: { [name: string]: { flag: string; inherited?: boolean; platform?: string } | false };
+  testExtensions?: string[];
+  sourceExtensions?: string[];
+  rules?: { [name: string]: 'off' | 'warn' | 'error' | ['off' | 'warn' | 'error', object?] };
+  customRules?: { [name: string]: object };
+  [key: string]: unknown;
+}
+
+export interface AnalyzeOptions {
+  /** Path to config file, or the config itself. Default: "shzm.config.js" in the working dir, if any */
+  config?: string | ShzmConfig;
+  /** Return files that cannot be parsed as { errors } instead of throwing FileParseError */
+  keepGoing?: boolean;
+  followReexports?: boolean;
+  locations?: boolean;
+  hookChain?: boolean;
+  cache?: boolean;
+  cacheLocation?: string;
+  jobs?: number;
+}
+
+export type AnalyzeSourceOptions = Omit<AnalyzeOptions, 'cache' | 'cacheLocation' | 'jobs'>;
+
+/** Parses all source files under the given files and dirs, same as "shzm dump" */
+export function analyze(paths: string[], options?: AnalyzeOptions): Promise<DumpObj>;
+
+/** Parses code given as a string, as if it was the content of "filename" */
+export function analyzeSource(source: string, filename?: string, options?: AnalyzeSourceOptions): Promise<FileObj>;
+
+export function loadConfig(configPath?: string): ShzmConfig;
+
+/** Thrown when the project config is missing or malformed */
+export class ConfigError extends Error {
+  name: 'ConfigError';
+}
+
+/** Thrown when the paths or options given are invalid, e.g. a path that does not exist */
+export class InputError extends Error {
+  name: 'InputError';
+}
+
+/** Thrown when a file has a syntax error or parse limitation, unless the "keepGoing" option is set */
+export class FileParseError extends Error {
+  name: 'FileParseError';
+  filename: string;
+  error: ErrorObj;
+  lineAtError?: string;
+}
@@ -1,165 +1,57 @@
-#!/usr/bin/env node
-const path = require("path");
-const fs = require("fs");
-const glob = require("glob");
-const { Command } = require('commander');
-const { readFileAndParseAST, findTests, findExportedFunc } = require('./parser');
-const { mapCharOffsetToLineno } = require('./utils');
-const pjs =  require("./package.json");
-
-const binName = pjs.name;
-
-async function main() {
-  const program = new Command();
-  program
-    .name(binName)
-    .description("Parse and identify Qwil-style Detox/Jest test files and functions")
-    .version(pjs.version)
-
-  program.command('tests')
-    .description('Parses spec files to local tests definitions, and dumps results to stdout as JSON')
-    .addHelpText("after", `
-Examples:
-
-  ${binName} tests ./e2e/tests  # look for tests in all *.spec.js files under ./e2e/tests dir
-  ${binName} tests ./e2e/tests ./e2e/uat  # specify multiple dirs
-  ${binName} tests ./e22/tests/a.spec.js  # parse a single file
-    `)
-    .argument('<file_or_dir...>', 'files or dirs to parse')
-    .action(async (paths) => {
-      await parseAndDumpTests(paths);
-    })
-
-  program.command('functions')
-    .description('Parses js files to local exported functions, and dumps results to stdout as JSON')
-    .addHelpText("after", `
-Examples:
-
-  ${binName} functions ./e2e/support  # look for exported functions in all *.js files under ./e2e/support dir
-  ${binName} functions ./e2e/support ./e2e/api  # specify multiple dirs
-  ${binName} functions ./e22/support/a.spec.js  # parse a single file
-    `)
-    .argument('<file_or_dir...>', 'files or dirs to parse')
-    .action(async (paths) => {
-      await parseAndDumpFuncExports(paths);
-    })
-
-  program.command('dump')
-    .description('Combination of "tests" and "functions", i.e. parses everything and dumps to JSON')
-    .addHelpText("after", `
-Examples:
-
-  ${binName} dump ./e2e  # look for tests and exported functions in all *.js files under ./e2e dir
-  ${binName} dump ./e2e/tests ./e2e/api  # specify multiple dirs
-  ${binName} dump ./e22/support/a.spec.js  # parse a single file
-    `)
-    .argument('<file_or_dir...>', 'files or dirs to parse')
-    .action(async (paths) => {
-      await parseAndDumpAll(paths);
-    })
-
-  program.parse();
-}
-
-async function parseAndDumpTests(paths) {
-  const filenames = resolvePaths(paths, ".spec.js");
-  let out = {};
-  for (const filename of filenames) {
-    // console.log(filename)
-    try {
-      out[filename] = findTests(
-        await readFileAndParseAST(path.resolve(filename))
-      );
-    } catch (e) {
-      if (e.name === 'ParseLimitationsError') {
-        handleParseLimitationsError(e);
-      } else {
-        throw e;
-      }
-    }
-  }
-  console.log(JSON.stringify(out, null, 2));
-}
-
-async function parseAndDumpFuncExports(paths) {
-  const filenames = resolvePaths(paths, ".js");
-  let out = {};
-  for (const filename of filenames) {
-    // console.log(filename)
-    try {
-      out[filename] = findExportedFunc(
-        await readFileAndParseAST(path.resolve(filename))
-      );
-    } catch (e) {
-      if (e.name === 'ParseLimitationsError') {
-        handleParseLimitationsError(e);
-      } else {
-        throw e;
-      }
-    }
-  }
-  console.log(JSON.stringify(out, null, 2));
-}
-
-async function parseAndDumpAll(paths) {
-  const filenames = resolvePaths(paths, ".js");
-  let out = {};
-  for (const filename of filenames) {
-    // console.log(filename)
-    try {
-      const funcDump = findExportedFunc(
-        await readFileAndParseAST(path.resolve(filename))
-      );
-      const testDump = findTests(
-        await readFileAndParseAST(path.resolve(filename))
-      );
-      out[filename] = { ...funcDump, ...testDump };
-    } catch (e) {
-      if (e.name === 'ParseLimitationsError') {
-        handleParseLimitationsError(e);
-      } else {
-        throw e;
-      }
-    }
-  }
-  console.log(JSON.stringify(out, null, 2));
+/**
+ * Node API, for scripts that would otherwise run "shzm dump" and parse its output, e.g.
+ *
+ *   const { analyze } = require('shzm');
+ *   const dump = await analyze(['./e2e'], { keepGoing: true });
+ *
+ * Results have the same structure as the output of the CLI (see README and index.d.ts). Errors are thrown rather
+ * than printed: ConfigError for a bad config, InputError for bad paths or options, and FileParseError for files that
+ * cannot be parsed (unless keepGoing is set). The CLI itself lives in cli.js.
+ */
+const { loadConfig, getExtensions, ConfigError } = require('./config');
+const { createProject, resolvePaths, InputError, FileParseError } = require('./project');
+
+/**
+ * Parses all source files under the given files and dirs, and resolves to the same Object as "shzm dump", i.e.
+ * filename => { functions, classes, reexports, imports, tests, hooks } or { errors }. Options:
+ *  - config: path to config file, or the config itself. Default: "shzm.config.js" in the working dir, if any
+ *  - keepGoing, followReexports, locations, hookChain, cache, cacheLocation, jobs: same as the options of "shzm dump"
+ */
+async function analyze(paths, options = {}) {
+  const config = getConfig(options);
+  const project = createProject(config, options);
+  const dump = await project.analyzeFiles(resolvePaths(paths, getExtensions(config).sourceExtensions), 'all');
+  await project.linkDump(dump);
+  return dump;
 }
 
-function handleParseLimitationsError(e, filename) {
-  const loc = mapCharOffsetToLineno(filename, e.atChar);
-  quit(`ERROR: ${e.message}\n    at (${filename}:${loc.line}:${loc.col})`)
+/**
+ * Same as analyze(), but for a single file given as a string, e.g. the content of an editor buffer that has not been
+ * saved yet. Resolves to the results for that file only. "filename" is used for stable ids, to decide whether to
+ * parse the code as TypeScript, and to resolve relative imports, which are read from disk. Takes the same options as
+ * analyze(), except for "cache" and "jobs".
+ */
+async function analyzeSource(source, filename = 'source.js', options = {}) {
+  const project = createProject(getConfig(options), {
+    ...options,
+    cache: false,
+    jobs: 1,
+    sources: { [filename]: source },
+  });
+  const dump = await project.analyzeFiles([filename], 'all');
+  await project.linkDump(dump);
+  return dump[filename];
 }
 
-function resolvePaths(paths, suffix= ".js") {
-  let resolved = new Set();
-  for (const p of new Set(paths)) {
-    if (!fs.existsSync(p)) {
-      quit(`ERROR: "${p}" does not exist`);
-    }
-    let stat = fs.lstatSync(p);
-    if (stat.isFile()) {
-      if (p.endsWith(suffix)) {
-        resolved.add(p);
-      } else {
-        quit(`ERROR: unsupported file "${p}". Expecting *${suffix}`)
-      }
-    } else if (stat.isDirectory()) {
-      glob.sync(`**/*${suffix}`, { cwd: p }).forEach((f) => {
-        resolved.add(path.join(p, f));
-      })
-    } else {
-      quit(`ERROR: "${p}" is neither a file nor a directory`);
-    }
-  }
-  return Array.from(resolved).sort();
+function getConfig(options) {
+  return options.config !== null && typeof options.config === 'object' ? options.config : loadConfig(options.config);
 }
 
-function quit(message) {
-  console.error(message);
-  process.exit(1);
+module.exports = {
+  analyze,
+  analyzeSource,
+  loadConfig,
+  ConfigError,
+  InputError,
+  FileParseError,
 }
-
-main().catch(e => {
-  console.error(e);
-  process.exit(1);
-});
@@ -0,0 +1,90 @@
+const builtinRules = require('./rules');
+const { ConfigError } = require('./config');
+const { formatMatchLocation } = require('./utils');
+
+const SEVERITIES = ['off', 'warn', 'error'];
+
+/**
+ * Resolves the set of rules to run, based on built-in rules and the "rules" and "customRules" sections of the
+ * project config, e.g.
+ *
+ *   module.exports = {
+ *     rules: {
+ *       'no-unused-functions': 'error',
+ *       'test-name-pattern': ['warn', { pattern: '^should ' }],
+ *       'my-rule': 'off',
+ *     },
+ *     customRules: {
+ *       'my-rule': { description: '...', defaultSeverity: 'warn', check(context) { ... } },
+ *     },
+ *   };
+ *
+ * Returns Array of { name, rule, severity, options } for rules that are not turned off.
+ */
+function resolveRules(config) {
+  const allRules = { ...builtinRules, ...(config.customRules || {}) };
+  const ruleSettings = config.rules || {};
+
+  Object.keys(ruleSettings).forEach((name) => {
+    if (!allRules[name]) {
+      throw new ConfigError(`unknown lint rule "${name}"`);
+    }
+  });
+
+  return Object.entries(allRules).map(([name, rule]) => {
+    if (typeof rule.check !== 'function') {
+      throw new ConfigError(`lint rule "${name}" does not define a check() function`);
+    }
+
+    let setting = ruleSettings[name] !== undefined ? ruleSettings[name] : rule.defaultSeverity || 'error';
+    let severity = Array.isArray(setting) ? setting[0] : setting;
+    let options = Array.isArray(setting) && setting.length > 1 ? setting[1] : {};
+    if (!SEVERITIES.includes(severity)) {
+      throw new ConfigError(`invalid severity "${severity}" for lint rule "${name}". Expecting ${SEVERITIES.join('|')}`);
+    }
+
+    return { name, rule, severity, options: { ...(rule.defaultOptions || {}), ...options } };
+  }).filter((r) => r.severity !== 'off');
+}
+
+/**
+ * Runs all enabled rules over the output of "shzm dump" and returns Array of violations, each with
+ * { rule, severity, filename, start, message }, sorted by file then position.
+ *
+ * "files" may additionally include files reached by following imports (see linkCalls()), and defaults to "dump".
+ */
+function lint(dump, config = {}, files = dump) {
+  const violations = [];
+  resolveRules(config).forEach(({ name, rule, severity, options }) => {
+    rule.check({
+      dump,
+      files,
+      options,
+      report: ({ filename, start, message }) => {
+        violations.push({ rule: name, severity, filename, start, message });
+      }
+    });
+  });
+
+  return violations.sort((a, b) => a.filename.localeCompare(b.filename) || a.start - b.start);
+}
+
+/**
+ * Returns human-readable report of violations, one per line, in the form:
+ *   /path/to/file.js:12:5  error  Some message  (rule-name)
+ */
+function formatViolations(violations) {
+  const lines = violations.map((v) => `${formatMatchLocation(v)}  ${v.severity}  ${v.message}  (${v.rule})`);
+  const errorCount = violations.filter((v) => v.severity === 'error').length;
+  const warningCount = violations.length - errorCount;
+  if (violations.length > 0) {
+    lines.push('', `${violations.length} problem(s) (${errorCount} error(s), ${warningCount} warning(s))`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  lint,
+  formatViolations,
+  resolveRules,
+}
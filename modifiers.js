@@ -0,0 +1,105 @@
+const { ConfigError } = require('./config');
+
+// Modifiers that are part of Jest itself, e.g. "it.skip" or "describe.only". These cannot be changed from config.
+const CORE_MODIFIERS = {
+  skip: { flag: 'skip', inherited: true },
+  only: { flag: 'only', inherited: true },
+};
+
+// Modifiers added by common test wrappers, e.g. "it.ios" or "describe.androidOnly". These can be changed or turned
+// off from config.
+const DEFAULT_MODIFIERS = {
+  ios: { flag: 'iosOnly', inherited: true, platform: 'ios' },
+  iosOnly: { flag: 'iosOnly', inherited: true, platform: 'ios' },
+  android: { flag: 'androidOnly', inherited: true, platform: 'android' },
+  androidOnly: { flag: 'androidOnly', inherited: true, platform: 'android' },
+};
+
+// Attributes of TestObj, HookObj and ScopeObj that modifiers should not overwrite
+const RESERVED_FLAGS = new Set([
+  'scope', 'name', 'unresolved', 'func', 'start', 'end', 'funcStart', 'funcEnd', 'id', 'bodyHash', 'async', 'each',
+  'table', 'names', 'tags', 'calls', 'tryStatements', 'hookChain', 'locations', 'elements', 'default',
+]);
+
+/**
+ * Resolves the modifiers recognised on test and describe() identifiers, based on built-in modifiers and the
+ * "modifiers" section of the project config, e.g.
+ *
+ *   module.exports = {
+ *     modifiers: {
+ *       tablet: { flag: 'tabletOnly', platform: 'tablet' },  // it.tablet(...) => { "tabletOnly": true }
+ *       flaky: { flag: 'flaky' },  // describe.flaky(...) => { "flaky": true } on all tests within
+ *       focus: { flag: 'focused', inherited: false },  // only set on the test or describe() itself
+ *       android: false,  // turn off a built-in modifier
+ *     },
+ *   };
+ *
+ * Each modifier sets "flag" to true on the ScopeObj it is used on. If "inherited" (the default), the flag is also set
+ * on tests and hooks within that scope, like ".skip" and ".only". "platform" marks the flag as limiting tests to
+ * that platform, e.g. for "shzm select --platform".
+ *
+ * Returns Object of modifier name => { flag, inherited, platform? }.
+ */
+function resolveModifiers(configModifiers = {}) {
+  if (configModifiers === null || typeof configModifiers !== 'object' || Array.isArray(configModifiers)) {
+    throw new ConfigError('"modifiers" in config should be an object');
+  }
+
+  const modifiers = { ...DEFAULT_MODIFIERS };
+  Object.entries(configModifiers).forEach(([name, modifier]) => {
+    if (CORE_MODIFIERS[name] || name === 'each') {
+      throw new ConfigError(`modifier "${name}" is built into Jest and cannot be changed`);
+    }
+    if (modifier === false) {
+      delete modifiers[name];
+      return;
+    }
+    const isValid = modifier !== null && typeof modifier === 'object'
+      && typeof modifier.flag === 'string' && /^[A-Za-z_$][\w$]*$/.test(modifier.flag)
+      && (modifier.inherited === undefined || typeof modifier.inherited === 'boolean')
+      && (modifier.platform === undefined || typeof modifier.platform === 'string');
+    if (!isValid) {
+      throw new ConfigError(`invalid modifier "${name}". Expecting { flag: String, inherited?: Boolean, platform?: String } or false`);
+    }
+    if (RESERVED_FLAGS.has(modifier.flag) || ['skip', 'only'].includes(modifier.flag)) {
+      throw new ConfigError(`modifier "${name}" cannot use reserved flag "${modifier.flag}"`);
+    }
+    modifiers[name] = {
+      flag: modifier.flag,
+      inherited: modifier.inherited !== false,
+      ...(modifier.platform && { platform: modifier.platform }),
+    };
+  });
+  const resolved = { ...CORE_MODIFIERS, ...modifiers };
+  Object.entries(resolved).forEach(([name, { flag, inherited }]) => {
+    const other = Object.keys(resolved).find((n) => resolved[n].flag === flag && resolved[n].inherited !== inherited);
+    if (other) {
+      throw new ConfigError(`modifiers "${name}" and "${other}" set the same flag "${flag}", so should both be inherited or not`);
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Returns flags set by modifiers, e.g. ["skip", "only", "iosOnly", "androidOnly"], in the order they should be output.
+ */
+function getModifierFlags(modifiers) {
+  return Array.from(new Set(Object.values(modifiers).map((m) => m.flag)));
+}
+
+/**
+ * Returns Object of platform => Array of flags that limit tests to that platform, e.g. { ios: ["iosOnly"], ... }.
+ */
+function getPlatformFlags(modifiers) {
+  const platforms = {};
+  Object.values(modifiers).filter((m) => m.platform).forEach(({ flag, platform }) => {
+    platforms[platform] = Array.from(new Set([...(platforms[platform] || []), flag]));
+  });
+  return platforms;
+}
+
+module.exports = {
+  resolveModifiers,
+  getModifierFlags,
+  getPlatformFlags,
+}
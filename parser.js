@@ -1,48 +1,231 @@
 const acorn = require('acorn');
+const acornJsx = require('acorn-jsx');
 const walk = require('acorn-walk');
 const fs = require('fs');
-const { interleaveArray } = require('./utils');
+const { hashNode } = require('./fingerprint');
+const { UNRESOLVED, VALUE_NODE_TYPES, createScope, createChildScope, evaluate, evaluateToString } = require('./evaluate');
+const { resolveModifiers } = require('./modifiers');
 const assert = require('assert').strict;
 
-function parse(source) {
+const JsxParser = acorn.Parser.extend(acornJsx());
+
+// acorn-walk does not know about JSX nodes, so teach it to walk expressions within them, e.g. calls in "onPress={...}".
+// Passed to every walk over our ASTs, rather than added to walk.base, which is shared by everything in the process.
+const baseVisitor = {
+  ...walk.base,
+  JSXElement(node, st, c) {
+    c(node.openingElement, st);
+    node.children.forEach((child) => c(child, st));
+  },
+  JSXFragment(node, st, c) {
+    node.children.forEach((child) => c(child, st));
+  },
+  JSXOpeningElement(node, st, c) {
+    node.attributes.forEach((attr) => c(attr, st));
+  },
+  JSXAttribute(node, st, c) {
+    if (node.value) {
+      c(node.value, st);
+    }
+  },
+  JSXSpreadAttribute(node, st, c) {
+    c(node.argument, st, 'Expression');
+  },
+  JSXExpressionContainer(node, st, c) {
+    c(node.expression, st, 'Expression');
+  },
+  JSXSpreadChild(node, st, c) {
+    c(node.expression, st, 'Expression');
+  },
+  JSXText: walk.base.Identifier,
+  JSXEmptyExpression: walk.base.Identifier,
+};
+
+// Extensions of files that contain TypeScript, and whether they may contain JSX. Everything else is parsed as
+// JavaScript with JSX, as is common for React Native projects.
+const TYPESCRIPT_EXTENSIONS = { '.ts': false, '.mts': false, '.cts': false, '.tsx': true };
+
+// Descriptions of TypeScript constructs that cannot be stripped without changing what the code does
+const UNSUPPORTED_TYPESCRIPT = {
+  EnumDeclaration: 'TypeScript enums',
+  ModuleDeclaration: 'TypeScript namespaces',
+  ImportEqualsDeclaration: 'TypeScript "import = require()"',
+  ExportAssignment: 'TypeScript "export ="',
+  TypeAssertionExpression: 'TypeScript "<Type>value" casts. Use "value as Type" instead',
+};
+
+function parse(source, options = {}) {
   /**
    * Returns AST in ESTree format -- https://github.com/estree/estree/blob/master/es2020.md
+   *
+   * Latest ECMAScript syntax is supported, as well as JSX unless "options.jsx" is false.
+   *
+   * Comments are not part of ESTree, so like other parsers (e.g. espree) we list them under "comments" of the Program
+   * node, as { type: "Line" | "Block", value, start, end }. Comments on a line of their own also get "precedes", the
+   * offset of the code or comment that directly follows, unless separated by a blank line (see getLeadingComments()).
    **/
-  return acorn.parse(source, {
-    ecmaVersion: 2020,
-    sourceType: 'module'
+  const comments = [];
+  const ast = (options.jsx === false ? acorn.Parser : JsxParser).parse(source, {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    onComment: comments
+  });
+  // Whitespace after a comment, up to the next code or comment, spanning at most one line break
+  const followingWhitespace = /[ \t\r]*\n?[ \t\r]*(?=\S)/y;
+  ast.comments = comments.map((comment) => {
+    const lineStart = source.lastIndexOf('\n', comment.start - 1) + 1;
+    followingWhitespace.lastIndex = comment.end;
+    const following = followingWhitespace.exec(source);
+    const isOwnLine = source.slice(lineStart, comment.start).trim() === '';
+    return { ...comment, ...(isOwnLine && following && { precedes: comment.end + following[0].length }) };
   });
+  return ast;
 }
 
 async function readFileAndParseAST(filePath) {
+  /**
+   * Returns AST of the given file, or null for nodeJS scripts that start with a shebang, since those are not expected
+   * to contain tests or test helpers.
+   *
+   * Throws ParseSyntaxError if the file cannot be parsed.
+   */
   const content = (await fs.promises.readFile(filePath, 'utf8')).toString();
+  return parseSourceAST(content, filePath);
+}
+
+function parseSourceAST(content, filename = '') {
+  /**
+   * Same as readFileAndParseAST(), for file content that has already been read, e.g. from git. The extension of
+   * "filename" tells whether content is TypeScript (see TYPESCRIPT_EXTENSIONS).
+   *
+   * Throws ParseLimitationsError for TypeScript constructs that have no JavaScript equivalent, e.g. enums.
+   */
   if (content.startsWith('#!')) {
-    // Ignore nodeJS scripts that start with shabang
     return null;
   }
+  const extension = Object.keys(TYPESCRIPT_EXTENSIONS).find((ext) => filename.endsWith(ext));
+  const isTypeScript = extension !== undefined;
+  const jsx = isTypeScript ? TYPESCRIPT_EXTENSIONS[extension] : true;
   try {
-    return parse(content);
+    if (!isTypeScript) {
+      return parse(content, { jsx });
+    }
+    const { code, parameterProperties } = stripTypes(content, jsx);
+    return addParameterProperties(parse(code, { jsx }), parameterProperties);
   } catch (e) {
-    if (e instanceof SyntaxError) {
-      const lineAtError = content.split('\n')[e.loc.line - 1];
-      const arrow = (e.loc.column > 0 ? ' '.repeat(e.loc.column) : '') + '^';
-      console.error(`Syntax Error : ${e.message}
+    if (e instanceof SyntaxError && e.loc) {
+      // Strip the " (line:col)" suffix that acorn appends, since we report location separately
+      throw new ParseSyntaxError(e.message.replace(/ \(\d+:\d+\)$/, ''), e.pos, content.split('\n')[e.loc.line - 1]);
+    } else {
+      throw e;
+    }
+  }
+}
 
-${lineAtError}
-${arrow}
+function stripTypes(content, jsx) {
+  /**
+   * Returns { code, parameterProperties } where "code" is the given TypeScript as JavaScript, with type annotations,
+   * interfaces, "as" casts, etc. replaced by whitespace so that char offsets in the AST still point to the right place
+   * in the original source.
+   *
+   * Parameter properties, e.g. "constructor(private readonly timeout: number)", have their modifiers replaced by
+   * whitespace too. Since that drops the "this.timeout = timeout" they imply, their names are returned as
+   * "parameterProperties", Array of { name, start, end }, for addParameterProperties() to add back.
+   *
+   * Throws ParseSyntaxError if the TypeScript parser reports a syntax error, since it recovers from those silently.
+   */
+  // Loaded on demand, since the TypeScript compiler takes a while to load and is not needed for JavaScript projects
+  const ts = require('typescript');
+  const { blankSourceFile } = require('ts-blank-space');
 
-at (${filePath}:${e.loc.line}:${e.loc.column})
-      `);
-      process.exit(1);
+  const sourceFile = ts.createSourceFile(
+    jsx ? 'input.tsx' : 'input.ts', content, ts.ScriptTarget.Latest, true, jsx ? ts.ScriptKind.TSX : ts.ScriptKind.TS
+  );
+  const [syntaxError] = sourceFile.parseDiagnostics || [];
+  if (syntaxError) {
+    const line = content.slice(0, syntaxError.start).split('\n').length;
+    const message = ts.flattenDiagnosticMessageText(syntaxError.messageText, ' ');
+    throw new ParseSyntaxError(message, syntaxError.start, content.split('\n')[line - 1]);
+  }
+  let unsupported;
+  const modifiers = [];
+  const parameterProperties = new Map();  // start => { name, start, end }
+  const output = blankSourceFile(sourceFile, (node) => {
+    // ts-blank-space reports each modifier of a parameter property, e.g. "private" and "readonly", and leaves it in place
+    if (ts.isParameter(node.parent) && ts.isIdentifier(node.parent.name) && ts.isConstructorDeclaration(node.parent.parent)) {
+      const { name } = node.parent;
+      modifiers.push(node);
+      parameterProperties.set(name.getStart(sourceFile), { name: name.text, start: name.getStart(sourceFile), end: name.end });
     } else {
-      throw e;
+      unsupported = unsupported || node;
     }
+  });
+  if (unsupported) {
+    const kind = ts.SyntaxKind[unsupported.kind];
+    throw new ParseLimitationsError(`No support for ${UNSUPPORTED_TYPESCRIPT[kind] || `TypeScript ${kind}`}`, unsupported.getStart(sourceFile));
   }
+  const code = modifiers.reduce((code, modifier) => {
+    const start = modifier.getStart(sourceFile);
+    return code.slice(0, start) + ' '.repeat(modifier.end - start) + code.slice(modifier.end);
+  }, output);
+  return { code, parameterProperties: Array.from(parameterProperties.values()) };
+}
+
+function addParameterProperties(ast, parameterProperties) {
+  /**
+   * Adds "this.<name> = <name>;" to constructors for the given parameter properties (see stripTypes()), as TypeScript
+   * would, right after the "super()" call if there is one. The added nodes span the parameter name, so that offsets
+   * still point into the original source. Returns the given AST.
+   */
+  if (parameterProperties.length === 0) {
+    return ast;
+  }
+  const byStart = new Map(parameterProperties.map((p) => [p.start, p]));
+  walk.simple(ast, {
+    MethodDefinition(node) {
+      if (node.kind !== 'constructor') {
+        return;
+      }
+      const assignments = node.value.params
+        .map((param) => byStart.get((param.type === 'AssignmentPattern' ? param.left : param).start))
+        .filter(Boolean)
+        .map(({ name, start, end }) => {
+          const identifier = () => ({ type: 'Identifier', name, start, end });
+          const left = { type: 'MemberExpression', object: { type: 'ThisExpression', start, end }, property: identifier(), computed: false, optional: false, start, end };
+          const expression = { type: 'AssignmentExpression', operator: '=', left, right: identifier(), start, end };
+          return { type: 'ExpressionStatement', expression, start, end };
+        });
+      const statements = node.value.body.body;
+      const superCall = statements.findIndex((n) => n.type === 'ExpressionStatement' && n.expression.type === 'CallExpression' && n.expression.callee.type === 'Super');
+      statements.splice(superCall + 1, 0, ...assignments);
+    },
+  }, baseVisitor);
+  return ast;
 }
 
 const SUPPORTED_HOOKS = new Set(['beforeAll', 'beforeEach', 'afterAll', 'afterEach']);
+const DEFAULT_TEST_IDENTIFIERS = ['it', 'test'];
+const DEFAULT_DESCRIBE_IDENTIFIERS = ['describe'];
+
+function findTests(ast, options = {}) {
+  /**
+   * Options:
+   *  - testIdentifiers: Array of function names that define tests. Defaults to ["it", "test"]
+   *  - describeIdentifiers: Array of function names that define test suites. Defaults to ["describe"]
+   *  - staticScope: scope used to resolve constants in test names and call arguments, e.g. to include constants
+   *    imported from other files (see evaluate.js). Defaults to module-level constants of the given AST.
+   *  - hookChain: if true, each test gets a "hookChain" listing the hooks that run around it (see getHookChain())
+   *  - modifiers: Object of custom modifiers, e.g. { tablet: { flag: 'tabletOnly' } } for "it.tablet(...)". See
+   *    resolveModifiers() in modifiers.js
+   */
+  const staticScope = options.staticScope || createScope(ast);
+  const testIdentifiers = options.testIdentifiers || DEFAULT_TEST_IDENTIFIERS;
+  const describeIdentifiers = options.describeIdentifiers || DEFAULT_DESCRIBE_IDENTIFIERS;
+  const isTest = (ident) => isTestIdentifier(ident, testIdentifiers);
+  const isTestOrDescribe = (ident) => isTest(ident) || isDescribeIdentifier(ident, describeIdentifiers);
+  const getTags = createTagLookup(ast);
+  const modifiers = resolveModifiers(options.modifiers);
 
-function findTests(ast) {
   let tests = [];
   let hooks = Object.fromEntries(Array.from(SUPPORTED_HOOKS).map((hook) => [hook, []]));
 
@@ -53,28 +236,33 @@ function findTests(ast) {
         if (!dottedName) {  // some funky call syntax that we don't yet support
           return;
         }
-
-        if (isTestIdentifier(dottedName)) {
-          let funcNode = node.arguments[1];
-
-          let scopeNodes = ancestors
-            .filter((n) => n.type === 'CallExpression')
-            .map((n) => ({ node: n, dotted: parseCallee(n) }))
-            .filter((o) => o.dotted && isTestOrDescribeIdentifier(o.dotted));
-
-          let scope = scopeNodes.map((o) => {
+        // Constants declared within enclosing functions, e.g. "describe('...', () => { const name = '...'; ... })"
+        const getScope = (n) => createChildScope(staticScope, ancestors.slice(0, ancestors.indexOf(n)));
+        // Enclosing describe() blocks, and the test itself for tests
+        const getScopeObjs = () => ancestors
+          .filter((n) => n.type === 'CallExpression')
+          .map((n) => ({ node: n, dotted: parseCallee(n) }))
+          .filter((o) => o.dotted && isTestOrDescribe(o.dotted))
+          .map((o) => {
+            const tags = getTags(o.node.start);
             return {
-              name: inferTestName(o.node),
+              ...inferTestName(o.node, getScope(o.node)),
               func: o.dotted,
               start: o.node.start,
               end: o.node.end,
-              ...(isSkip(o.dotted) && { skip: true }),
-              ...(isOnly(o.dotted) && { only: true }),
-              ...(isIosOnly(o.dotted) && { iosOnly: true }),
-              ...(isAndroidOnly(o.dotted) && { androidOnly: true })
+              ...getModifierFlagsOfIdentifier(o.dotted, modifiers),
+              ...getEachInfo(o.node, o.dotted, getScope(o.node)),
+              ...(tags.length > 0 && { tags })
             };
           });
 
+        if (isTest(dottedName)) {
+          let funcNode = node.arguments[1];
+          if (!funcNode || (funcNode.type !== "FunctionExpression" && funcNode.type !== "ArrowFunctionExpression")) {
+            return;  // e.g. it.todo('...')
+          }
+
+          const scope = getScopeObjs();
           tests.push({
             scope: scope,
             start: node.start,
@@ -82,12 +270,12 @@ function findTests(ast) {
             async: funcNode.async,
             funcStart: funcNode.start,
             funcEnd: funcNode.end,
-            calls: findFuncCalls(funcNode),
+            bodyHash: hashNode(funcNode),
+            calls: findFuncCalls(funcNode, getScope(node)),
             tryStatements: findTry(funcNode),
-            ...(scope.some((n) => n.skip) && { skip: true }),
-            ...(scope.some((n) => n.only) && { only: true }),
-            ...(scope.some((n) => n.iosOnly) && { iosOnly: true }),
-            ...(scope.some((n) => n.androidOnly) && { androidOnly: true })
+            ...getEffectiveFlags(scope, scope[scope.length - 1], modifiers),
+            ...(scope.some((n) => n.each) && { each: true }),
+            ...(scope.some((n) => n.tags) && { tags: mergeTags(scope.map((n) => n.tags || [])) })
           });
         } else if (SUPPORTED_HOOKS.has(dottedName)) {
           // Watch out for false positives. If wrong number or params, or is not function, assume this is not a hook.
@@ -99,29 +287,13 @@ function findTests(ast) {
             return;
           }
 
-          let scopeNodes = ancestors
-            .filter((n) => n.type === "CallExpression")
-            .map((n) => ({node: n, dotted: parseCallee(n)}))
-            .filter((o) => o.dotted && isTestOrDescribeIdentifier(o.dotted));
-
+          const scope = getScopeObjs();
           // also exclude calls to hooks if within it() scope
-          if (scopeNodes.some((o) => isTestIdentifier(o.dotted))) {
+          if (scope.some((n) => isTest(n.func))) {
             return;
           }
 
-          let scope = scopeNodes.map((o) => {
-            return {
-              name: inferTestName(o.node),
-              func: o.dotted,
-              start: o.node.start,
-              end: o.node.end,
-              ...(isSkip(o.dotted) && {skip: true}),
-              ...(isOnly(o.dotted) && {only: true}),
-              ...(isIosOnly(o.dotted) && { iosOnly: true }),
-              ...(isAndroidOnly(o.dotted) && { androidOnly: true })
-            }
-          });
-
+          const tags = mergeTags([...scope.map((n) => n.tags || []), getTags(node.start)]);
           hooks[dottedName].push({
             scope: scope,
             start: node.start,
@@ -129,18 +301,150 @@ function findTests(ast) {
             async: funcNode.async,
             funcStart: funcNode.start,
             funcEnd: funcNode.end,
-            calls: findFuncCalls(funcNode),
+            bodyHash: hashNode(funcNode),
+            calls: findFuncCalls(funcNode, getScope(node)),
             tryStatements: findTry(funcNode),
+            ...getEffectiveFlags(scope, undefined, modifiers),
+            ...(tags.length > 0 && { tags })
           })
         }
       }
+    }, baseVisitor);
+  }
+  if (options.hookChain) {
+    tests.forEach((test) => {
+      test.hookChain = getHookChain(test, hooks);
     });
   }
 
   return { tests, hooks };
 }
 
-function findExportedFunc(ast) {
+function getHookChain(test, hooks) {
+  /**
+   * Returns hooks that apply to the given test, i.e. those declared at the top level or within one of its enclosing
+   * describe() blocks, in the order Jest runs them:
+   *  - beforeAll and beforeEach hooks, outermost first
+   *  - afterEach and afterAll hooks, innermost first
+   * Hooks declared within the same block run in the order they were declared.
+   *
+   * Each entry is { hook, index, start } where hooks[hook][index] is the HookObj.
+   */
+  const isInScope = (hook) => hook.scope.every((s, i) => i < test.scope.length && test.scope[i].start === s.start);
+  const getEntries = (hookName, outermostFirst) => hooks[hookName]
+    .map((hook, index) => ({ hook, index }))
+    .filter(({ hook }) => isInScope(hook))
+    .sort((a, b) => outermostFirst ? a.hook.scope.length - b.hook.scope.length : b.hook.scope.length - a.hook.scope.length)
+    .map(({ hook, index }) => ({ hook: hookName, index, start: hook.start }));
+
+  return [
+    ...getEntries('beforeAll', true),
+    ...getEntries('beforeEach', true),
+    ...getEntries('afterEach', false),
+    ...getEntries('afterAll', false),
+  ];
+}
+
+function getEachInfo(node, dottedName, staticScope) {
+  /**
+   * For parametrised tests/suites, e.g.
+   *   it.each([[1, 2], [3, 4]])('adds %i to %i', fn)
+   *   describe.each`
+   *     a    | b
+   *     ${1} | ${2}
+   *   `('with $a and $b', fn)
+   *
+   * returns { each: true } along with "table" (Array of rows) if all table values are static, and "names" (Array of
+   * expanded names, as Jest would report them) if the name is also static. Returns {} for non-parametrised calls.
+   */
+  if (!dottedName.endsWith('.each()')) {
+    return {};
+  }
+
+  let table;
+  if (node.callee.type === 'TaggedTemplateExpression') {
+    table = parseTemplateTable(node.callee.quasi, staticScope);
+  } else if (node.callee.arguments.length > 0) {
+    const rows = evaluate(node.callee.arguments[0], staticScope);
+    table = Array.isArray(rows) ? rows : undefined;
+  }
+
+  const nameNode = node.arguments[0];
+  const name = nameNode ? evaluate(nameNode, staticScope) : UNRESOLVED;
+
+  return {
+    each: true,
+    ...(table && { table }),
+    ...(table && typeof name === 'string' && { names: table.map((row, i) => formatEachName(name, row, i)) })
+  };
+}
+
+function parseTemplateTable(quasi, staticScope) {
+  /**
+   * Returns rows of a tagged template table as Array of objects keyed by column name, or undefined if any of the
+   * values are not static.
+   */
+  const headings = quasi.quasis[0].value.cooked.split('|').map((h) => h.trim()).filter((h) => h);
+  const values = quasi.expressions.map((e) => evaluate(e, staticScope));
+  if (headings.length === 0 || values.some((v) => v === UNRESOLVED)) {
+    return undefined;
+  }
+
+  const rows = [];
+  for (let i = 0; i < values.length; i += headings.length) {
+    rows.push(Object.fromEntries(headings.map((h, j) => [h, values[i + j]])));
+  }
+  return rows;
+}
+
+function formatEachName(name, row, index) {
+  /**
+   * Emulates how Jest formats the names of parametrised tests, i.e. "$variable" interpolation for object rows, and
+   * printf-style formatting for everything else.
+   */
+  if (row !== null && typeof row === 'object' && !Array.isArray(row)) {
+    return name.replace(/\$(#|[A-Za-z_$][\w$]*(?:\.[\w$]+)*)/g, (match, path) => {
+      if (path === '#') {
+        return String(index);
+      }
+      const value = path.split('.').reduce((obj, key) => (obj === null || obj === undefined) ? undefined : obj[key], row);
+      return value === undefined ? match : prettyFormat(value);
+    });
+  }
+
+  const args = Array.isArray(row) ? [...row] : [row];
+  return name.replace(/%([sdifjoOp#%])/g, (match, placeholder) => {
+    if (placeholder === '%') {
+      return '%';
+    } else if (placeholder === '#') {
+      return String(index);
+    } else if (args.length === 0) {
+      return match;
+    }
+    const value = args.shift();
+    switch (placeholder) {
+      case 's':
+        return typeof value === 'string' ? value : prettyFormat(value);
+      case 'd':
+      case 'f':
+        return String(Number(value));
+      case 'i':
+        return String(Math.trunc(Number(value)));
+      case 'j':
+      case 'o':
+      case 'O':
+        return JSON.stringify(value);
+      default:  // 'p'
+        return prettyFormat(value);
+    }
+  });
+}
+
+function prettyFormat(value) {
+  return typeof value === 'string' ? `"${value}"` : (typeof value === 'object' && value !== null) ? JSON.stringify(value) : String(value);
+}
+
+function findExportedFunc(ast, options = {}) {
   /**
    * For simplicity, we only support these forms of func declarations + exports:
    *   export async function a() {}
@@ -152,14 +456,45 @@ function findExportedFunc(ast) {
    *
    *   async function d() => {};
    *   export default d;
+   *
+   * and these CommonJS forms, where functions may be declared inline or by reference to a top-level declaration:
+   *   module.exports = { e, f: async () => {}, async g() {} };
+   *   module.exports.h = async () => {};
+   *   exports.i = async function () {};
+   *   module.exports = j;  // treated like "export default j"
+   *
+   * Functions exported by reference under an alias (e.g. "export { e as f }") are listed by their exported name.
+   * Re-exports from other modules (e.g. "export { e as f } from './e'" or "export * from './e'") are listed
+   * separately under "reexports", since the function is not implemented in this file.
+   *
+   * Exported classes (e.g. page objects) are listed separately under "classes", with their methods. A class is also
+   * listed if only an instance of it is exported, e.g. "export default new LoginScreen()", so that calls on that
+   * instance can be traced back to the class methods.
+   *
+   * Options:
+   *  - staticScope: scope used to resolve constants in call arguments (see findTests())
    */
+  if (!ast) {
+    return { functions: [], classes: [], reexports: [] };
+  }
+  const staticScope = options.staticScope || createScope(ast);
+  // Tags of comments above the declaration or the export, e.g. "/** @owner payments */ export async function a() {}"
+  const getTags = createTagLookup(ast);
+
   // First, determine if these is a default export based on identifier (e.g. "export default x;")
   const exportDefaultDeclaration = ast.body.find(n => n.type === 'ExportDefaultDeclaration' && n.declaration.type === 'Identifier');
   const defaultExportedIdentifier = exportDefaultDeclaration ? exportDefaultDeclaration.declaration.name : undefined;
 
+  // Top-level function declarations, so they can be looked up when exported by reference, e.g. "module.exports = { e }"
+  const localFunctions = findLocalFunctionDeclarations(ast);
+  const { localClasses, localInstances } = findLocalClassDeclarations(ast);
+
   const exportedFunctions = [];
+  const exportedClasses = new Map();  // class node => ClassObj
+  const reexports = [];
 
   function registerExportedFuncNode({ node, exportStart, exportEnd, start, end }) {
+    const tags = getTags(start, exportStart);
     exportedFunctions.push({
       name: node.id.name,
       start, // start of full declaration
@@ -168,8 +503,11 @@ function findExportedFunc(ast) {
       exportEnd, // end of statement where export happened. Could be the same as "end"
       funcStart: node.body.start, // start of function implementation body
       funcEnd: node.body.end, // end of function implementation body
+      bodyHash: hashNode(node), // hash of function implementation, ignoring formatting and comments
       async: node.async,
-      calls: findFuncCalls(node.body)
+      calls: findFuncCallsInFunction(node, staticScope),
+      ...(isDefaultExport(exportStart) && { default: true }),
+      ...(tags.length > 0 && { tags })
     })
   }
 
@@ -177,6 +515,7 @@ function findExportedFunc(ast) {
     assert(node.type === 'VariableDeclarator', 'registerExportedArrowFuncNode should be called with VariableDeclarator node');
     const funcNode = node.init;
     assert(funcNode.type === 'ArrowFunctionExpression', 'registerExportedArrowFuncNode should only be used for arrow func declarations');
+    const tags = getTags(start, exportStart);
 
     exportedFunctions.push({
       name: node.id.name,
@@ -186,11 +525,198 @@ function findExportedFunc(ast) {
       exportEnd, // end of statement where export happened. Could be the same as "end"
       funcStart: funcNode.body.start, // start of function implementation body
       funcEnd: funcNode.body.end, // end of function implementation body
+      bodyHash: hashNode(funcNode), // hash of function implementation, ignoring formatting and comments
+      async: funcNode.async,
+      calls: findFuncCallsInFunction(funcNode, staticScope),
+      ...(isDefaultExport(exportStart) && { default: true }),
+      ...(tags.length > 0 && { tags })
+    })
+  }
+
+  function isDefaultExport(exportStart) {
+    return !!exportDefaultDeclaration && exportStart === exportDefaultDeclaration.start;
+  }
+
+  function registerExportedFunction({ name, localName, funcNode, exportStart, exportEnd, start, end, isDefault }) {
+    const tags = getTags(start, exportStart);
+    exportedFunctions.push({
+      name,
+      start, // start of full declaration. Same as "exportStart" if function is declared inline
+      end, // end of full declaration. Same as "exportEnd" if function is declared inline
+      exportStart, // start of export statement, or of object property/export specifier if exported as part of a list
+      exportEnd, // end of export statement, or of object property/export specifier if exported as part of a list
+      funcStart: funcNode.body.start, // start of function implementation body
+      funcEnd: funcNode.body.end, // end of function implementation body
+      bodyHash: hashNode(funcNode), // hash of function implementation, ignoring formatting and comments
       async: funcNode.async,
-      calls: findFuncCalls(funcNode.body)
+      calls: findFuncCallsInFunction(funcNode, staticScope),
+      ...(localName && localName !== name && { localName }), // name within this file, if exported under an alias
+      ...(isDefault && { default: true }),
+      ...(tags.length > 0 && { tags })
     })
   }
 
+  function maybeRegisterExportedLocalFunction({ name, localName, exportStart, exportEnd, isDefault }) {
+    // Handle exports by reference to a top-level function declaration, e.g. "export { e as f }" or "exports.f = e"
+    const local = localFunctions.get(localName);
+    if (!local) {
+      return;
+    }
+    if (local.multiDeclarationStart !== undefined) {
+      throw new ParseLimitationsError(
+        'No support for function export within multi-variable declaration',
+        local.multiDeclarationStart
+      )
+    }
+    registerExportedFunction({
+      name: name || localName,
+      localName,
+      funcNode: local.funcNode,
+      exportStart,
+      exportEnd,
+      start: local.start,
+      end: local.end,
+      isDefault
+    });
+  }
+
+  function registerExportSpecifiers(node) {
+    node.specifiers.forEach(spec => {
+      const exported = spec.exported.name;
+      if (node.source) {
+        // Handle "export { e as f } from './e'"
+        reexports.push({
+          source: node.source.value,
+          imported: spec.local.name,
+          exported,
+          start: spec.start,
+          end: spec.end,
+        });
+      } else {
+        // Handle "export { e as f }" and "export { e as default }"
+        maybeRegisterExportedLocalFunction({
+          name: exported === 'default' ? spec.local.name : exported,
+          localName: spec.local.name,
+          exportStart: spec.start,
+          exportEnd: spec.end,
+          isDefault: exported === 'default'
+        });
+        maybeRegisterExportedLocalClass({
+          name: exported,
+          localName: spec.local.name,
+          exportStart: spec.start,
+          exportEnd: spec.end,
+          isDefault: exported === 'default'
+        });
+      }
+    });
+  }
+
+  function registerClassExport({ classNode, start, end, name, exportStart, exportEnd, isDefault, isInstance }) {
+    if (!exportedClasses.has(classNode)) {
+      exportedClasses.set(classNode, {
+        name: classNode.id ? classNode.id.name : 'default',
+        start, // start of full declaration
+        end, // end of full declaration
+        exports: [],
+        methods: findClassMethods(classNode, staticScope),
+      });
+    }
+    exportedClasses.get(classNode).exports.push({
+      name: isDefault ? 'default' : name, // exported name
+      start: exportStart, // start of statement where export happened. Could be the same as class "start"
+      end: exportEnd, // end of statement where export happened. Could be the same as class "end"
+      ...(isInstance && { instance: true }) // if an instance of the class was exported rather than the class itself
+    });
+  }
+
+  function maybeRegisterExportedLocalClass({ name, localName, exportStart, exportEnd, isDefault }) {
+    // Handle exports by reference to a top-level class or class instance, e.g. "export { A }" or "module.exports = a"
+    const local = localClasses.get(localName) || localInstances.get(localName);
+    if (local) {
+      registerClassExport({
+        classNode: local.classNode,
+        start: local.classStart,
+        end: local.classEnd,
+        name: name || localName,
+        exportStart,
+        exportEnd,
+        isDefault,
+        isInstance: localInstances.has(localName)
+      });
+    }
+  }
+
+  function maybeRegisterExportedInstance({ name, newNode, exportStart, exportEnd, isDefault }) {
+    // Handle "export default new A()", "export const a = new A()" and "module.exports = new A()"
+    if (newNode.type !== 'NewExpression' || newNode.callee.type !== 'Identifier') {
+      return;
+    }
+    const local = localClasses.get(newNode.callee.name);
+    if (local) {
+      registerClassExport({
+        classNode: local.classNode,
+        start: local.classStart,
+        end: local.classEnd,
+        name,
+        exportStart,
+        exportEnd,
+        isDefault,
+        isInstance: true
+      });
+    }
+  }
+
+  function maybeRegisterCommonJsExportedValue({ name, value, exportStart, exportEnd, isDefault }) {
+    if (value.type === 'FunctionExpression' || value.type === 'ArrowFunctionExpression') {
+      // Handle "exports.h = async () => {}" and "module.exports = { f: async () => {}, async g() {} }"
+      registerExportedFunction({
+        name: name || (value.id && value.id.name) || 'default',
+        funcNode: value,
+        exportStart,
+        exportEnd,
+        start: exportStart,
+        end: exportEnd,
+        isDefault
+      });
+    } else if (value.type === 'Identifier') {
+      // Handle "module.exports = { e }" and "exports.e = e" where "e" is a top-level function or class declaration
+      maybeRegisterExportedLocalFunction({ name, localName: value.name, exportStart, exportEnd, isDefault });
+      maybeRegisterExportedLocalClass({ name, localName: value.name, exportStart, exportEnd, isDefault });
+    } else if (value.type === 'NewExpression') {
+      // Handle "module.exports = new A()"
+      maybeRegisterExportedInstance({ name, newNode: value, exportStart, exportEnd, isDefault });
+    }
+  }
+
+  function maybeRegisterCommonJsExports(node) {
+    const expression = node.expression;
+    if (expression.type !== 'AssignmentExpression' || expression.operator !== '=') {
+      return;
+    }
+    const target = parseCommonJsExportTarget(expression.left);
+    if (!target) {
+      return;
+    }
+
+    const value = expression.right;
+    if (target.name) {
+      // "module.exports.h = ..." or "exports.i = ..."
+      maybeRegisterCommonJsExportedValue({ name: target.name, value, exportStart: node.start, exportEnd: node.end });
+    } else if (value.type === 'ObjectExpression') {
+      // "module.exports = { ... }"
+      value.properties.forEach(prop => {
+        const name = prop.type === 'Property' && !prop.computed ? getPropertyKey(prop) : undefined;
+        if (name) {
+          maybeRegisterCommonJsExportedValue({ name, value: prop.value, exportStart: prop.start, exportEnd: prop.end });
+        }
+      });
+    } else {
+      // "module.exports = j"
+      maybeRegisterCommonJsExportedValue({ value, exportStart: node.start, exportEnd: node.end, isDefault: true });
+    }
+  }
+
   function maybeRegisterVariableDeclarations({ node, exportStart, exportEnd, start, end }) {
     const isExported = exportStart !== undefined;
     const hasArrowFuncDeclaration = node.declarations.find(d => d.init.type === 'ArrowFunctionExpression');
@@ -244,6 +770,46 @@ function findExportedFunc(ast) {
           start: node.start,
           end: node.end
         })
+        // Maybe handle "export const a = new A();"
+        node.declaration.declarations.forEach(d => {
+          if (d.id.type === 'Identifier' && d.init) {
+            maybeRegisterExportedInstance({ name: d.id.name, newNode: d.init, exportStart: node.start, exportEnd: node.end });
+          }
+        });
+      } else if (node.declaration.type === 'ClassDeclaration') {
+        // Handle "export class A {}"
+        registerClassExport({
+          classNode: node.declaration,
+          start: node.start,
+          end: node.end,
+          name: node.declaration.id.name,
+          exportStart: node.start,
+          exportEnd: node.end
+        });
+      }
+    } else if (node.type === 'ExportDefaultDeclaration') {
+      const declaration = node.declaration;
+      if (declaration.type === 'ClassDeclaration') {
+        // Handle "export default class A {}"
+        registerClassExport({
+          classNode: declaration,
+          start: node.start,
+          end: node.end,
+          exportStart: node.start,
+          exportEnd: node.end,
+          isDefault: true
+        });
+      } else if (declaration.type === 'NewExpression') {
+        // Handle "export default new A()"
+        maybeRegisterExportedInstance({ newNode: declaration, exportStart: node.start, exportEnd: node.end, isDefault: true });
+      } else if (declaration.type === 'Identifier') {
+        // Maybe handle "export default A" or "export default a" where "a = new A()". Functions are handled separately.
+        maybeRegisterExportedLocalClass({
+          localName: declaration.name,
+          exportStart: node.start,
+          exportEnd: node.end,
+          isDefault: true
+        });
       }
     } else if (node.type === 'VariableDeclaration' && node.kind === 'const') {
       // Maybe handle "const c = async () => {};" if "c" identifier was default exported
@@ -261,10 +827,195 @@ function findExportedFunc(ast) {
         start: node.start,
         end: node.end
       });
+    } else if (node.type === 'ExpressionStatement') {
+      // Maybe handle CommonJS exports, e.g. "module.exports = { e }" or "exports.i = async function () {}"
+      maybeRegisterCommonJsExports(node);
+    } else if (node.type === 'ExportNamedDeclaration' && node.specifiers.length > 0) {
+      // Handle "export { e as f }" and "export { e as f } from './e'"
+      registerExportSpecifiers(node);
+    } else if (node.type === 'ExportAllDeclaration') {
+      // Handle "export * from './e'" and "export * as ns from './e'"
+      reexports.push({
+        source: node.source.value,
+        imported: '*',
+        exported: node.exported ? node.exported.name : '*',
+        start: node.start,
+        end: node.end,
+      });
+    }
+  });
+
+  return { functions: exportedFunctions, classes: Array.from(exportedClasses.values()), reexports };
+}
+
+function findLocalClassDeclarations(ast) {
+  /**
+   * Returns:
+   *  - localClasses: Map of name => { classNode, classStart, classEnd } for top-level class declarations
+   *  - localInstances: Map of name => { classNode, classStart, classEnd } for top-level variables initialised with an
+   *    instance of one of those classes, e.g. "const a = new A()"
+   */
+  const localClasses = new Map();
+  ast.body.forEach(node => {
+    const declaration = ['ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(node.type) ? node.declaration : node;
+    if (declaration && declaration.type === 'ClassDeclaration' && declaration.id) {
+      localClasses.set(declaration.id.name, { classNode: declaration, classStart: node.start, classEnd: node.end });
+    }
+  });
+
+  const localInstances = new Map();
+  ast.body.forEach(node => {
+    if (node.type !== 'VariableDeclaration') {
+      return;
+    }
+    node.declarations.forEach(d => {
+      if (d.id.type === 'Identifier' && d.init && d.init.type === 'NewExpression' && d.init.callee.type === 'Identifier'
+        && localClasses.has(d.init.callee.name)) {
+        localInstances.set(d.id.name, localClasses.get(d.init.callee.name));
+      }
+    });
+  });
+
+  return { localClasses, localInstances };
+}
+
+function findClassMethods(classNode, staticScope) {
+  /**
+   * Returns methods, getters, setters and static members of a class, as well as fields holding functions, e.g.
+   * "login = async () => {}". Members with computed names and private members (e.g. "#retry()") are ignored.
+   */
+  const isFunction = (n) => !!n && (n.type === 'FunctionExpression' || n.type === 'ArrowFunctionExpression');
+  return classNode.body.body
+    .filter(n => n.type === 'MethodDefinition' || (n.type === 'PropertyDefinition' && isFunction(n.value)))
+    .filter(n => (!n.computed || n.key.type === 'Literal') && n.key.type !== 'PrivateIdentifier')
+    .map(n => ({
+      name: getPropertyKey(n),
+      kind: n.type === 'PropertyDefinition' ? 'field' : n.kind, // "constructor" | "method" | "get" | "set" | "field"
+      start: n.start, // start of method definition
+      end: n.end, // end of method definition
+      funcStart: n.value.body.start, // start of method implementation body
+      funcEnd: n.value.body.end, // end of method implementation body
+      async: n.value.async,
+      calls: findFuncCallsInFunction(n.value, staticScope),
+      ...(n.static && { static: true })
+    }));
+}
+
+function findLocalFunctionDeclarations(ast) {
+  /**
+   * Returns Map of name => { funcNode, start, end } for top-level function declarations, including variables
+   * initialised with a function or arrow function. For variables that are part of a multi-variable declaration, we
+   * instead return { multiDeclarationStart } so that callers can reject them if they turn out to be exported.
+   */
+  const localFunctions = new Map();
+  ast.body.forEach(node => {
+    if (node.type === 'FunctionDeclaration') {
+      localFunctions.set(node.id.name, { funcNode: node, start: node.start, end: node.end });
+    } else if (node.type === 'VariableDeclaration') {
+      node.declarations.forEach(d => {
+        if (d.id.type !== 'Identifier' || !d.init) {
+          return;
+        }
+        if (d.init.type !== 'FunctionExpression' && d.init.type !== 'ArrowFunctionExpression') {
+          return;
+        }
+        localFunctions.set(d.id.name, node.declarations.length > 1
+          ? { multiDeclarationStart: node.declarations[1].start }
+          : { funcNode: d.init, start: node.start, end: node.end });
+      });
     }
   });
+  return localFunctions;
+}
+
+function parseCommonJsExportTarget(node) {
+  /**
+   * Returns {} if node is "module.exports", { name } if node is "module.exports.<name>" or "exports.<name>", and
+   * undefined if it is neither.
+   */
+  if (node.type !== 'MemberExpression' || node.computed) {
+    return undefined;
+  }
+  if (isModuleExports(node)) {
+    return {};
+  }
+  if (isModuleExports(node.object) || (node.object.type === 'Identifier' && node.object.name === 'exports')) {
+    return { name: node.property.name };
+  }
+  return undefined;
 
-  return { functions: exportedFunctions };
+  function isModuleExports(_node) {
+    return _node.type === 'MemberExpression' && !_node.computed
+      && _node.object.type === 'Identifier' && _node.object.name === 'module'
+      && _node.property.name === 'exports';
+  }
+}
+
+function findImports(ast) {
+  /**
+   * Returns all bindings imported via ESM import declarations or top-level CommonJS require() calls, e.g.
+   *   import a from './a';             // { source: './a', imported: 'default', local: 'a' }
+   *   import { b, c as d } from './b'; // { source: './b', imported: 'b', local: 'b' }, { ..., imported: 'c', local: 'd' }
+   *   import * as e from './e';        // { source: './e', imported: '*', local: 'e' }
+   *   const f = require('./f');        // { source: './f', imported: '*', local: 'f' }
+   *   const { g: h } = require('./g'); // { source: './g', imported: 'g', local: 'h' }
+   */
+  const imports = [];
+  if (!ast) {
+    return { imports };
+  }
+
+  ast.body.forEach(node => {
+    if (node.type === 'VariableDeclaration') {
+      node.declarations.forEach(d => {
+        const source = getRequireSource(d.init);
+        if (source === undefined) {
+          return;
+        }
+        if (d.id.type === 'Identifier') {
+          imports.push({ source, imported: '*', local: d.id.name, start: node.start, end: node.end });
+        } else if (d.id.type === 'ObjectPattern') {
+          d.id.properties.forEach(prop => {
+            const imported = prop.type === 'Property' && !prop.computed ? getPropertyKey(prop) : undefined;
+            if (imported && prop.value.type === 'Identifier') {
+              imports.push({ source, imported, local: prop.value.name, start: node.start, end: node.end });
+            }
+          });
+        }
+      });
+      return;
+    }
+    if (node.type !== 'ImportDeclaration') {
+      return;
+    }
+    node.specifiers.forEach(spec => {
+      let imported;
+      if (spec.type === 'ImportDefaultSpecifier') {
+        imported = 'default';
+      } else if (spec.type === 'ImportNamespaceSpecifier') {
+        imported = '*';
+      } else {
+        imported = spec.imported.name;
+      }
+      imports.push({
+        source: node.source.value,
+        imported,
+        local: spec.local.name,
+        start: node.start, // start of import statement
+        end: node.end, // end of import statement
+      });
+    });
+  });
+  return { imports };
+}
+
+function getRequireSource(node) {
+  // Returns module name if node is "require('<module name>')"
+  if (node && node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require'
+    && node.arguments.length === 1 && node.arguments[0].type === 'Literal' && typeof node.arguments[0].value === 'string') {
+    return node.arguments[0].value;
+  }
+  return undefined;
 }
 
 function findTry(ast) {
@@ -273,11 +1024,16 @@ function findTry(ast) {
     TryStatement: function (node) {
       tries.push({ start: node.start, end:  node.end })
     }
-  })
+  }, baseVisitor)
   return tries;
 }
 
-function findFuncCalls(ast) {
+function findFuncCallsInFunction(funcNode, staticScope) {
+  // Only the function body is searched for calls, but parameters may shadow module-level constants
+  return findFuncCalls(funcNode.body, createChildScope(staticScope, [funcNode]));
+}
+
+function findFuncCalls(ast, staticScope) {
   let calls = [];
   walk.ancestor(ast, {
     CallExpression: function (node, ancestors) {
@@ -296,15 +1052,22 @@ function findFuncCalls(ast) {
         }
       });
 
+      // Arguments whose values can be determined statically, and indices of those that look like they could be but
+      // could not be resolved, e.g. "loginAs(user)" where "user" is a function parameter
+      const argumentScope = createChildScope(staticScope, ancestors);
       const literalArguments = {};
-      let hasLiteralArguments = false;
+      const unresolvedArguments = [];
       node.arguments.forEach((a, i) => {
-        const value = maybeGetLiteralValue(a);
-        if (value) {
-          hasLiteralArguments = true;
+        const value = a.type === 'SpreadElement' ? UNRESOLVED : evaluate(a, argumentScope);
+        if (value !== UNRESOLVED) {
           literalArguments[i] = value;
+        } else if (VALUE_NODE_TYPES.has(a.type)) {
+          unresolvedArguments.push(i);
         }
       });
+      const hasLiteralArguments = Object.keys(literalArguments).length > 0;
+      // e.g. "users.forEach()" where "users" is a parameter, which is not expected to resolve to an exported function
+      const isLocal = argumentScope.isLocal(dottedName.split('.')[0].replace(/\(\)$/, ''));
 
       /* special handling of api({ sync: ?? }).regionCall(...) calls */
       let errors = [];
@@ -336,50 +1099,142 @@ function findFuncCalls(ast) {
         end: node.end,  // end at the end of the full call, including params and inner func.
         arguments: arguments,
         await: !!parent && parent.type === 'AwaitExpression',
+        result: getResultUsage(ancestors),
+        ...getControlFlowContext(ancestors),
         ...(hasLiteralArguments ? { literalArguments } : null),
+        ...(unresolvedArguments.length > 0 ? { unresolvedArguments } : null),
+        ...(isLocal ? { local: true } : null),
         ...(apiSyncDisabled ? { apiSyncDisabled } : null),
         ...(apiWaitAfter ? { apiWaitAfter } : null),
         ...(errors.length > 0 ? { errors } : null)
 
       })
     },
-  });
+  }, baseVisitor);
   return calls;
 }
 
-function maybeGetLiteralValue(node) {
-  if (node.type === 'Literal') {
-    return node.value;
-  } else if (node.type === 'ObjectExpression') {
-    // Try to see if all values can be mapped to literals
-    // WARN: this would probably go brrrrr if object has cyclic references
-    const output = {};
-    for (let i = 0; i < node.properties.length; i++) {
-      let prop = node.properties[i];
-      let key = getPropertyKey(prop);
-      if (!key) {
-        return undefined;
-      }
-      let value = maybeGetLiteralValue(prop.value);
-      if (!value) {
-        return undefined;
-      }
-      output[key] = value;
-    }
-    return output;
-  } else if (node.type === 'ArrayExpression') {
-    const output = [];
-    for (let i = 0; i < node.elements.length; i++) {
-      let value = maybeGetLiteralValue(node.elements[i]);
-      if (!value) {
-        return undefined;
+const LOOP_KINDS = {
+  ForStatement: 'for',
+  ForInStatement: 'for-in',
+  ForOfStatement: 'for-of',
+  WhileStatement: 'while',
+  DoWhileStatement: 'do-while',
+};
+
+function getControlFlowContext(ancestors) {
+  /**
+   * Returns { context } listing the constructs that enclose the call (last of ancestors) within the function being
+   * searched (first of ancestors), outermost first, or {} if there are none. Each entry is one of:
+   *  - { type: "conditional", kind: "if" | "ternary" | "logical" | "switch", start, end }
+   *  - { type: "loop", kind: "for" | "for-in" | "for-of" | "while" | "do-while", start, end }
+   *  - { type: "try" | "catch" | "finally", start, end }, where start/end are those of the whole try statement, i.e.
+   *    the same as the matching entry of "tryStatements"
+   *  - { type: "function", start, end, argumentOf? }, for nested functions. "argumentOf" is the name of the call
+   *    the function is passed to, if any, e.g. "items.forEach"
+   * Calls made while evaluating a condition (e.g. "if (a())") or once before a loop (e.g. "for (const x of a())") are
+   * not considered enclosed by it.
+   */
+  const context = [];
+  for (let i = 1; i < ancestors.length - 1; i++) {
+    const node = ancestors[i];
+    const child = ancestors[i + 1];
+    const range = { start: node.start, end: node.end };
+    switch (node.type) {
+      case 'IfStatement':
+        child !== node.test && context.push({ type: 'conditional', kind: 'if', ...range });
+        break;
+      case 'ConditionalExpression':
+        child !== node.test && context.push({ type: 'conditional', kind: 'ternary', ...range });
+        break;
+      case 'LogicalExpression':
+        child === node.right && context.push({ type: 'conditional', kind: 'logical', ...range });
+        break;
+      case 'SwitchStatement':  // acorn-walk goes straight from the switch statement to the statements of each case
+        if (child !== node.discriminant && !node.cases.some((c) => c.test === child)) {
+          context.push({ type: 'conditional', kind: 'switch', ...range });
+        }
+        break;
+      case 'ForStatement':
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+        child !== node.init && context.push({ type: 'loop', kind: LOOP_KINDS[node.type], ...range });
+        break;
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        child === node.body && context.push({ type: 'loop', kind: LOOP_KINDS[node.type], ...range });
+        break;
+      case 'TryStatement':
+        if (child === node.block) {
+          context.push({ type: 'try', ...range });
+        } else if (child === node.handler) {
+          context.push({ type: 'catch', ...range });
+        } else if (child === node.finalizer) {
+          context.push({ type: 'finally', ...range });
+        }
+        break;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression': {
+        const parent = ancestors[i - 1];
+        const argumentOf = parent.type === 'CallExpression' && parent.arguments.includes(node) ? parseCallee(parent) : null;
+        context.push({ type: 'function', ...range, ...(argumentOf && { argumentOf }) });
+        break;
       }
-      output.push(value);
     }
-    return output;
   }
+  return context.length > 0 ? { context } : {};
+}
 
-  return undefined;
+const PROMISE_COMBINATORS = new Set(['Promise.all', 'Promise.allSettled', 'Promise.race', 'Promise.any']);
+
+function getResultUsage(ancestors) {
+  /**
+   * Returns how the value returned by the call (last of ancestors) is used:
+   *  - "awaited": e.g. "await a()"
+   *  - "returned": e.g. "return a()" or "() => a()"
+   *  - "combined": passed to Promise.all/allSettled/race/any, e.g. "Promise.all([a(), b()])"
+   *  - "chained": another member is accessed or called on it, e.g. "a().then(...)" or "element(...).tap()"
+   *  - "ignored": e.g. "a();"
+   *  - "used": anything else, e.g. assigned to a variable or passed as argument
+   * Conditional and logical expressions are looked through, e.g. "await (x ? a() : b())" is "awaited".
+   */
+  let i = ancestors.length - 1;
+  let node = ancestors[i];
+  let parent = ancestors[i - 1];
+  while (parent && (
+    (parent.type === 'ConditionalExpression' && parent.test !== node)
+    || parent.type === 'LogicalExpression'
+    || (parent.type === 'SequenceExpression' && parent.expressions.at(-1) === node)
+  )) {
+    node = parent;
+    parent = ancestors[--i - 1];
+  }
+
+  if (!parent) {
+    return 'used';
+  }
+  switch (parent.type) {
+    case 'AwaitExpression':
+      return 'awaited';
+    case 'ReturnStatement':
+      return 'returned';
+    case 'ArrowFunctionExpression':
+      return parent.body === node ? 'returned' : 'used';
+    case 'MemberExpression':
+      return parent.object === node ? 'chained' : 'used';
+    case 'ExpressionStatement':
+      return 'ignored';
+    case 'SequenceExpression':  // not the last expression, so its value is discarded
+      return 'ignored';
+  }
+
+  // Promise.all([a(), b()]) or Promise.race(a())
+  const arrayParent = parent.type === 'ArrayExpression' ? ancestors[i - 2] : parent;
+  if (arrayParent && arrayParent.type === 'CallExpression' && PROMISE_COMBINATORS.has(parseCallee(arrayParent))) {
+    return 'combined';
+  }
+  return 'used';
 }
 
 function assertPropertyNodeIsLiteralBooleanAndExtract(node, errors) {
@@ -403,49 +1258,126 @@ function getPropertyKey(propNode) {
   }
 }
 
-function inferTestName(testCallNode) {
+function inferTestName(testCallNode, staticScope) {
+  /**
+   * Returns { name } where constants are resolved where possible, e.g. `${PREFIX} works` => "Login works". Parts of
+   * the name that cannot be resolved are kept as "${<expression>}" and also listed under "unresolved".
+   */
   const node = testCallNode.arguments[0];
+  if (!node) {
+    return { name: '[Unparseable: no name]' };
+  }
 
-  if (node.type === 'Literal') {
-    return node.value;
-  } else if (node.type === 'TemplateLiteral') {
-    let expressions = node.expressions.map((i) => `\${${i.name}}`);
-    let quasis = node.quasis.map((q) => q.value.raw);
-    return interleaveArray(quasis, expressions).join('');
-  } else if (node.type === 'Identifier') {
-    return `\${${node.name}}`;
-  } else {
-    return `[Unparseable: ${node.type}]`;
+  const result = evaluateToString(node, staticScope);
+  if (!result) {
+    return { name: `[Unparseable: ${node.type}]` };
   }
+  return {
+    name: result.value,
+    ...(result.unresolved.length > 0 && { unresolved: result.unresolved })
+  };
+}
+
+function createTagLookup(ast) {
+  /**
+   * Returns function that takes one or more char offsets where code starts (e.g. of a test, or of the statement that
+   * exports a function), and returns the tags of the comments leading up to that code (see parseTags()).
+   */
+  const commentsByTarget = new Map(((ast && ast.comments) || [])
+    .filter((comment) => comment.precedes !== undefined)
+    .map((comment) => [comment.precedes, comment]));
+
+  return (...offsets) => mergeTags(offsets.map((offset) => {
+    return getLeadingComments(commentsByTarget, offset).flatMap(parseTags);
+  }));
 }
 
+function getLeadingComments(commentsByTarget, offset) {
+  /**
+   * Returns comments directly above the given offset, in source order. A blank line, or code on the same line as a
+   * comment, ends the sequence. For example, only the last two comments lead up to "it()" here:
+   *   // Login tests
+   *
+   *   // @jira QW-123
+   *   /** @owner payments *\/
+   *   it('works', async () => {});
+   */
+  const comments = [];
+  let comment = commentsByTarget.get(offset);
+  while (comment) {
+    comments.unshift(comment);
+    comment = commentsByTarget.get(comment.start);
+  }
+  return comments;
+}
 
-function isTestOrDescribeIdentifier(ident) {
-  return isTestIdentifier(ident) || isDescribeIdentifier(ident);
+function parseTags(comment) {
+  /**
+   * Returns JSDoc-style tags found in the given comment as Array of { name, value }, e.g. "@owner payments @smoke"
+   * gives [{ name: "owner", value: "payments" }, { name: "smoke" }]. The value of a tag is the text up to the next tag,
+   * with whitespace collapsed, and is left out if empty.
+   */
+  const text = comment.type === 'Block' ? comment.value.replace(/^\s*\*+/gm, ' ') : comment.value;
+  const matches = Array.from(text.matchAll(/(^|\s)@([A-Za-z][\w.-]*)/g));
+  return matches.map((match, i) => {
+    const valueStart = match.index + match[0].length;
+    const valueEnd = i + 1 < matches.length ? matches[i + 1].index : text.length;
+    const value = text.slice(valueStart, valueEnd).trim().replace(/\s+/g, ' ');
+    return { name: match[2], ...(value && { value }) };
+  });
 }
 
-function isTestIdentifier(ident) {
-  return ident === 'it' || ident.startsWith('it.');
+function mergeTags(tagLists) {
+  // Concatenates lists of tags, dropping repeats of the same name and value, e.g. when inherited from describe()
+  const seen = new Set();
+  return tagLists.flat().filter((tag) => {
+    const key = JSON.stringify([tag.name, tag.value]);
+    return !seen.has(key) && seen.add(key);
+  });
 }
 
-function isDescribeIdentifier(ident) {
-  return ident === 'describe' || ident.startsWith('describe.');
+
+function isTestIdentifier(ident, testIdentifiers = DEFAULT_TEST_IDENTIFIERS) {
+  return matchesIdentifier(ident, testIdentifiers);
 }
 
-function isSkip(ident) {
-  return ident.endsWith('.skip');
+function isDescribeIdentifier(ident, describeIdentifiers = DEFAULT_DESCRIBE_IDENTIFIERS) {
+  return matchesIdentifier(ident, describeIdentifiers);
 }
 
-function isIosOnly(ident) {
-  return ident.endsWith('.iosOnly') || ident.endsWith('.ios');
+function matchesIdentifier(ident, names) {
+  if (ident.endsWith('.each')) {
+    return false;  // this is just the "it.each(table)" part of "it.each(table)(name, fn)"
+  }
+  return names.some((name) => ident === name || ident.startsWith(name + '.'));
 }
 
-function isAndroidOnly(ident) {
-  return ident.endsWith('.androidOnly') || ident.endsWith('.android');
+function getModifierFlagsOfIdentifier(ident, modifiers) {
+  /**
+   * Returns flags set by the modifiers of a test or describe() identifier, e.g. { skip: true, iosOnly: true } for
+   * "it.ios.skip" or "it.ios.skip.each()". Unknown modifiers are ignored.
+   */
+  const flags = {};
+  ident.replace(/\.each\(\)$/, '').split('.').slice(1).forEach((name) => {
+    if (Object.prototype.hasOwnProperty.call(modifiers, name)) {
+      flags[modifiers[name].flag] = true;
+    }
+  });
+  return flags;
 }
 
-function isOnly(ident) {
-  return ident.endsWith('.only');
+function getEffectiveFlags(scope, own, modifiers) {
+  /**
+   * Returns flags that effectively apply to a test or hook within the given scope, in the order of "modifiers":
+   * inherited flags if set on any ScopeObj, and others only if set on "own", i.e. the ScopeObj of the test itself.
+   */
+  const flags = {};
+  Object.values(modifiers).forEach(({ flag, inherited }) => {
+    if (inherited ? scope.some((n) => n[flag]) : !!(own && own[flag])) {
+      flags[flag] = true;
+    }
+  });
+  return flags;
 }
 
 function IgnoreMe(node) {
@@ -477,6 +1409,8 @@ function parseCallee(node) {
         return _traverse(_node.object) + '.' + _node.property.name;
       case 'CallExpression':
         return _traverse(_node.callee) + '()';
+      case 'TaggedTemplateExpression':  // e.g. it.each`table`(...)
+        return _traverse(_node.tag) + '()';
       case 'ThisExpression':
         return 'this';
       default:
@@ -506,8 +1440,24 @@ class ParseLimitationsError extends Error {
   }
 }
 
+/**
+ * Thrown when a file is not valid JavaScript, as far as acorn is concerned. "lineAtError" is the content of the line
+ * where the error was detected.
+ */
+class ParseSyntaxError extends Error {
+  constructor(message, atChar, lineAtError) {
+    super(message);
+    this.name = 'ParseSyntaxError';
+    this.atChar = atChar;
+    this.lineAtError = lineAtError;
+  }
+}
+
 module.exports = {
   findTests,
   findExportedFunc,
+  findImports,
   readFileAndParseAST,
+  parseSourceAST,
+  baseVisitor,
 }
@@ -0,0 +1,234 @@
+const path = require('path');
+const fs = require('fs');
+const glob = require('glob');
+const { Worker } = require('worker_threads');
+const { createAnalyzer } = require('./analyze');
+const { linkCalls, resolveReexports } = require('./graph');
+const { addIds } = require('./fingerprint');
+const { addElements } = require('./detox');
+const { addLocations, createLineIndex } = require('./utils');
+const { getProjectRoot } = require('./config');
+
+/**
+ * Returns functions to analyse files of a project, with the given config (see config.js) and options:
+ *  - config: path to the config file, as for loadConfig(). Stable ids are relative to its dir (see getProjectRoot())
+ *  - keepGoing: return files that cannot be parsed as { errors } instead of throwing FileParseError
+ *  - hookChain: add "hookChain" to every TestObj, on top of "hookChain" in config
+ *  - followReexports, locations: as for "shzm dump", applied by linkDump()
+ *  - cache, cacheLocation: cache results on disk (see analyze.js)
+ *  - jobs: number of worker threads to analyse files with. Default: 1, i.e. none
+ *  - sources: Object of filename => content, used instead of reading these files
+ *
+ * Each file is parsed at most once, so a new project should be created to pick up files that changed since.
+ */
+function createProject(config, options = {}) {
+  const jobs = Number(options.jobs || 1);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new InputError(`invalid number of jobs "${options.jobs}". Expecting a positive integer`);
+  }
+  const analyzerOptions = {
+    testOptions: getTestOptions(config, options),
+    ...(options.cache && { cacheDir: path.resolve(options.cacheLocation || '.shzm-cache') }),
+    ...(options.sources && { sources: options.sources }),
+  };
+  const analyzer = createAnalyzer(analyzerOptions);
+  const root = getProjectRoot(options.config);
+  const lineStarts = new Map();  // filename => start offset of each line of the content analysed
+
+  function toFileDump(filename, { result, error, lineAtError, lineStarts: fileLineStarts }) {
+    if (!error) {
+      lineStarts.set(filename, fileLineStarts);
+      return addIds(filename, addElements(result), root);
+    }
+    if (error.type !== 'skipped' && !options.keepGoing) {
+      throw new FileParseError(filename, error, lineAtError);
+    }
+    return { errors: [error] };
+  }
+
+  /**
+   * Loads files reached by following imports or re-exports, which are not part of the given paths. Returns null if
+   * the file could not be parsed (and options.keepGoing is set) or was skipped.
+   */
+  async function loadExportsAndImports(filename) {
+    const fileDump = toFileDump(filename, await analyzer.analyzeFile(filename, 'exports'));
+    return fileDump.errors ? null : fileDump;
+  }
+
+  /**
+   * Adds locations to results of analyzeFiles() (see addLocations() in utils.js), based on the content that was
+   * analysed rather than by reading files again.
+   */
+  function addDumpLocations(dump) {
+    return addLocations(dump, (filename) => createLineIndex(lineStarts.get(filename)));
+  }
+
+  return {
+    /**
+     * Analyses the given files (see ANALYSES in analyze.js) and returns Object of filename => result. Files that
+     * cannot be analysed are returned as { errors: [{ type, message, start?, line?, col? }] } instead, where "type"
+     * is one of:
+     *  - "syntax": file is not valid JavaScript
+     *  - "parse-limitation": file is valid, but breaks an assumption made by this lib (see ParseLimitationsError)
+     *  - "skipped": file was deliberately not parsed, i.e. nodeJS scripts that start with a shebang
+     *
+     * Syntax errors and parse limitations throw FileParseError, unless options.keepGoing is set.
+     *
+     * With options.jobs > 1, files are analysed by that many worker threads. Files imported by files of several
+     * workers are then parsed by each of them, but the results are the same.
+     */
+    async analyzeFiles(filenames, analysis) {
+      let out = {};
+      if (jobs === 1 || filenames.length < 2) {
+        for (const filename of filenames) {
+          out[filename] = toFileDump(filename, await analyzer.analyzeFile(filename, analysis));
+        }
+      } else {
+        const outcomes = await analyzeInWorkers(filenames, analysis, analyzerOptions, jobs);
+        for (const filename of filenames) {
+          out[filename] = toFileDump(filename, outcomes.get(filename));
+        }
+      }
+      return out;
+    },
+
+    loadExportsAndImports,
+
+    /**
+     * Links calls of the given files (see linkCalls()), then follows re-exports and adds locations if asked to, as
+     * for "shzm dump". Other files are taken from "files" if there, e.g. files parsed earlier in watch mode, or
+     * loaded otherwise. Returns { files, unresolved } as linkCalls() does.
+     */
+    async linkDump(dump, files = dump) {
+      const loadFile = async (filename) => {
+        if (filename in files) {
+          return files[filename].errors ? null : files[filename];
+        }
+        return loadExportsAndImports(filename);
+      };
+      const linked = await linkCalls(dump, loadFile);
+      if (options.followReexports) {
+        await resolveReexports(dump, loadFile);
+      }
+      if (options.locations) {
+        addDumpLocations(dump);
+      }
+      return linked;
+    },
+
+    addLocations: addDumpLocations,
+  };
+}
+
+/**
+ * Options for findTests() from the config file, some of which can also be set from the command line. Other config
+ * entries are left out, since these are passed to worker threads and are part of cache keys.
+ */
+function getTestOptions(config, options) {
+  const testOptions = {};
+  ['testIdentifiers', 'describeIdentifiers', 'modifiers', 'hookChain'].forEach((key) => {
+    if (config[key] !== undefined) {
+      testOptions[key] = config[key];
+    }
+  });
+  if (options.hookChain) {
+    testOptions.hookChain = true;
+  }
+  return testOptions;
+}
+
+/**
+ * Analyses files in worker threads (see worker.js), each being sent the next file as soon as it is done with the
+ * previous one. Returns Map of filename => outcome, as returned by analyzer.analyzeFile().
+ */
+async function analyzeInWorkers(filenames, analysis, analyzerOptions, jobs) {
+  const outcomes = new Map();
+  const queue = [...filenames];
+  const workers = Array.from({ length: Math.min(jobs, filenames.length) }, () => {
+    return new Worker(path.join(__dirname, 'worker.js'), { workerData: analyzerOptions });
+  });
+  try {
+    await Promise.all(workers.map((worker) => new Promise((resolve, reject) => {
+      const next = () => {
+        if (queue.length === 0) {
+          resolve();
+        } else {
+          worker.postMessage({ filename: queue.shift(), analysis });
+        }
+      };
+      worker.on('message', ({ filename, outcome, failure }) => {
+        if (failure) {
+          reject(Object.assign(new Error(failure.message), failure));  // keeps "name", e.g. for ConfigError
+          return;
+        }
+        outcomes.set(filename, outcome);
+        next();
+      });
+      worker.on('error', reject);
+      next();
+    })));
+  } finally {
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+  return outcomes;
+}
+
+/**
+ * Returns files with one of the given suffixes (e.g. [".spec.js"]) found under the given files and dirs, sorted.
+ */
+function resolvePaths(paths, suffixes) {
+  let resolved = new Set();
+  for (const p of new Set(paths)) {
+    if (!fs.existsSync(p)) {
+      throw new InputError(`"${p}" does not exist`);
+    }
+    let stat = fs.lstatSync(p);
+    if (stat.isFile()) {
+      if (suffixes.some((suffix) => p.endsWith(suffix))) {
+        resolved.add(p);
+      } else {
+        throw new InputError(`unsupported file "${p}". Expecting ${suffixes.map((suffix) => `*${suffix}`).join('|')}`);
+      }
+    } else if (stat.isDirectory()) {
+      suffixes.forEach((suffix) => {
+        glob.sync(`**/*${suffix}`, { cwd: p }).forEach((f) => {
+          resolved.add(path.join(p, f));
+        })
+      });
+    } else {
+      throw new InputError(`"${p}" is neither a file nor a directory`);
+    }
+  }
+  return Array.from(resolved).sort();
+}
+
+/**
+ * Thrown when the paths or options given are invalid, e.g. a path that does not exist.
+ */
+class InputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InputError';
+  }
+}
+
+/**
+ * Thrown when a file has a syntax error or parse limitation, unless options.keepGoing is set. "error" is the ErrorObj
+ * that would be listed under "errors" of the file, and "lineAtError" the content of the line of a syntax error.
+ */
+class FileParseError extends Error {
+  constructor(filename, error, lineAtError) {
+    super(`${error.message} (${filename}:${error.line}:${error.col})`);
+    this.name = 'FileParseError';
+    this.filename = filename;
+    this.error = error;
+    this.lineAtError = lineAtError;
+  }
+}
+
+module.exports = {
+  createProject,
+  resolvePaths,
+  InputError,
+  FileParseError,
+}
@@ -0,0 +1,262 @@
+const path = require("path");
+const walk = require('acorn-walk');
+const { baseVisitor } = require('./parser');
+
+/**
+ * Returns ids of functions in the call graph that are not used by any test or hook, either directly or via other
+ * functions. Functions only called by other unused functions are therefore also returned.
+ *
+ * Only functions defined in one of the given filenames are considered, since we can't say much about functions in
+ * files that were only reached by following imports.
+ *
+ * To stay on the safe side, functions whose name matches the last segment of an unresolved call (see linkCalls())
+ * are treated as used, since the call may well have been to that function. So are functions referred to by code that
+ * is not part of an exported function, e.g. called by a local function or passed to another function by a test (see
+ * findReferences()). References made by exported functions only count if those functions are used themselves.
+ */
+function findUnusedFunctions(graph, unresolved, filenames, references = []) {
+  const unresolvedNames = new Set(unresolved.map((u) => u.name.split('.').at(-1)));
+  const rootIds = [
+    ...Object.values(graph.tests).flatMap((t) => t.calls),
+    ...Object.values(graph.hooks).flatMap((h) => h.calls),
+    // We don't prune class methods, so treat them all as used
+    ...Object.keys(graph.functions).filter((id) => graph.functions[id].className),
+    ...Object.keys(graph.functions).filter((id) => unresolvedNames.has(graph.functions[id].name)),
+    ...references.filter((r) => !r.from).map((r) => r.to),
+  ];
+  const referencedBy = new Map();  // function id => ids of functions it refers to
+  references.filter((r) => r.from).forEach((r) => {
+    referencedBy.set(r.from, [...(referencedBy.get(r.from) || []), r.to]);
+  });
+
+  const used = new Set();
+  const queue = [...rootIds];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (!used.has(id) && graph.functions[id]) {
+      used.add(id);
+      queue.push(...graph.functions[id].calls, ...(referencedBy.get(id) || []));
+    }
+  }
+
+  const inScope = new Set(filenames);
+  return Object.keys(graph.functions).filter((id) => !used.has(id) && inScope.has(graph.functions[id].filename));
+}
+
+/**
+ * Returns names that a file refers to, other than in the declaration or export of its exported functions, as Array
+ * of { name, start, from? } where "from" is the name of the exported function that the reference is made from, if
+ * any. "functions" are the FunctionObj of the file, as returned by findExportedFunc(). Names are identifiers, e.g. "loginAs" in "retry(loginAs)" or "function a() { loginAs() }", or
+ * "<namespace>.<name>" for members of an imported namespace, e.g. "helpers.loginAs".
+ *
+ * Calls are included, since those made outside exported functions are not part of the call graph. Resolving names to
+ * functions is left to resolveReferences(), so local variables that shadow a function count as references to it.
+ */
+function findReferences(ast, functions) {
+  const references = [];
+  walk.ancestor(ast, {
+    Identifier(node, ancestors) {
+      const parent = ancestors.at(-2);
+      const isNamespace = parent.type === 'MemberExpression' && parent.object === node && !parent.computed;
+      const name = isNamespace ? `${node.name}.${parent.property.name}` : node.name;
+      const within = (start, end) => node.start >= start && node.end <= end;
+      const from = functions.filter((f) => within(f.funcStart, f.funcEnd))
+        .sort((a, b) => (a.funcEnd - a.funcStart) - (b.funcEnd - b.funcStart))[0];
+      if (from) {
+        references.push({ name, start: node.start, from: from.name });
+      } else if (!functions.some((f) => within(f.start, f.end) || within(f.exportStart, f.exportEnd))) {
+        references.push({ name, start: node.start });
+      }
+    },
+  }, baseVisitor);
+  return references;
+}
+
+/**
+ * Removes the given FunctionObj declarations (and their export statements if separate) from file content.
+ *
+ * A declaration is left in place if it is shared with one of keptFuncs, e.g. "module.exports = { a, b: a }" where
+ * only "b" is unused. In that case only its export is removed.
+ *
+ * Removal is extended to cover whole lines, so as not to leave behind blank lines or stray indentation, and a
+ * trailing blank line is also removed if the declaration was preceded by one.
+ *
+ * Returns { content, hunks } where hunks is an Array of { oldStart, oldLines, newStart, newLines } describing the
+ * lines changed.
+ */
+function removeFunctions(content, funcs, keptFuncs = []) {
+  const ranges = mergeRanges(content, funcs.flatMap((func) => {
+    const declaration = { start: func.start, end: func.end };
+    const exportStatement = { start: func.exportStart, end: func.exportEnd };
+    if (isWithin(exportStatement, declaration)) {
+      return [declaration];
+    }
+    const isShared = keptFuncs.some((f) => f.start === func.start && f.end === func.end);
+    return isShared ? [exportStatement] : [declaration, exportStatement];
+  }).map((range) => expandToWholeLines(content, extendOverTrailingComma(content, range))));
+  const pruned = mergeRanges(content, ranges.map((range) => extendOverListRemainder(content, range)))
+    .map((range) => trimBlankLines(content, range));
+
+  let output = '';
+  let cursor = 0;
+  pruned.forEach(({ start, end }) => {
+    output += content.slice(cursor, start);
+    cursor = end;
+  });
+  output += content.slice(cursor);
+
+  return { content: output, hunks: getHunks(content, pruned) };
+}
+
+/**
+ * Returns hunks describing the lines affected by removing the given (sorted, non-overlapping) ranges. Hunks always
+ * cover whole lines, so if only part of a line is removed, the remainder shows up as an added line.
+ */
+function getHunks(content, ranges) {
+  const groups = [];
+  ranges.forEach((range) => {
+    const hunkStart = content.lastIndexOf('\n', range.start - 1) + 1;
+    let hunkEnd = content[range.end - 1] === '\n' ? range.end : content.indexOf('\n', range.end) + 1;
+    hunkEnd = hunkEnd > 0 ? hunkEnd : content.length;
+
+    const last = groups.at(-1);
+    if (last && hunkStart < last.hunkEnd) {
+      last.hunkEnd = Math.max(last.hunkEnd, hunkEnd);
+      last.ranges.push(range);
+    } else {
+      groups.push({ hunkStart, hunkEnd, ranges: [range] });
+    }
+  });
+
+  let lineDelta = 0;
+  return groups.map(({ hunkStart, hunkEnd, ranges: groupRanges }) => {
+    let remainder = '';
+    let cursor = hunkStart;
+    groupRanges.forEach(({ start, end }) => {
+      remainder += content.slice(cursor, start);
+      cursor = end;
+    });
+    remainder += content.slice(cursor, hunkEnd);
+
+    const oldLines = splitLines(content.slice(hunkStart, hunkEnd));
+    const newLines = splitLines(remainder);
+    const oldStart = countLines(content, 0, hunkStart) + 1;
+    // By convention, a hunk with no new lines starts at the line before
+    const newStart = oldStart + lineDelta - (newLines.length === 0 ? 1 : 0);
+    lineDelta += newLines.length - oldLines.length;
+    return { oldStart, oldLines, newStart, newLines };
+  });
+}
+
+function splitLines(text) {
+  return text === '' ? [] : text.replace(/\n$/, '').split('\n');
+}
+
+function isWithin(inner, outer) {
+  return inner.start >= outer.start && inner.end <= outer.end;
+}
+
+/**
+ * Merges ranges that overlap or are only separated by whitespace.
+ */
+function mergeRanges(content, ranges) {
+  const merged = [];
+  ranges.sort((a, b) => a.start - b.start).forEach((range) => {
+    const last = merged.at(-1);
+    if (last && (range.start <= last.end || content.slice(last.end, range.start).trim() === '')) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  });
+  return merged;
+}
+
+/**
+ * Functions exported as part of "module.exports = { ... }" have their export range set to the object property, so
+ * include the trailing comma (if any) when removing.
+ */
+function extendOverTrailingComma(content, { start, end }) {
+  const trailingComma = /^[ \t]*,[ \t]*/.exec(content.slice(end));
+  return { start, end: trailingComma ? end + trailingComma[0].length : end };
+}
+
+/**
+ * Removing the last entries of a list such as "module.exports = { a, b, c }" leaves the comma before them behind, and
+ * removing all entries of "export { a, b }" or "module.exports = { a }" leaves an empty statement, so include those
+ * when removing. Lists may be on one line or have an entry per line.
+ */
+function extendOverListRemainder(content, { start, end }) {
+  const listStart = /(export|module\.exports\s*=)\s*\{\s*$/.exec(content.slice(0, start));
+  const listEnd = /^\s*\}[ \t]*;?/.exec(content.slice(end));
+  if (listStart && listEnd) {
+    return expandToWholeLines(content, { start: start - listStart[0].length, end: end + listEnd[0].length });
+  }
+  const precedingComma = /,[ \t]*$/.exec(content.slice(0, start));
+  if (precedingComma && /^[ \t]*\}/.test(content.slice(end))) {
+    return expandToWholeLines(content, { start: start - precedingComma[0].length, end });
+  }
+  // "{\n  a,\n  b\n}" where "b" was removed: remove the comma after "a" too, but not the line break before "}"
+  const precedingLineComma = /,[ \t]*\n$/.exec(content.slice(0, start));
+  if (precedingLineComma && content[end - 1] === '\n' && /^[ \t]*\}/.test(content.slice(end))) {
+    return { start: start - precedingLineComma[0].length, end: end - 1 };
+  }
+  return expandToWholeLines(content, { start, end });
+}
+
+function expandToWholeLines(content, { start, end }) {
+  let lineStart = content.lastIndexOf('\n', start - 1) + 1;
+  if (content.slice(lineStart, start).trim() === '') {
+    start = lineStart;
+  }
+
+  let lineEnd = content.indexOf('\n', end);
+  lineEnd = lineEnd === -1 ? content.length : lineEnd + 1;
+  if (content.slice(end, lineEnd).trim() === '') {
+    end = lineEnd;
+  }
+
+  return { start, end };
+}
+
+function trimBlankLines(content, { start, end }) {
+  // Avoid leaving behind two consecutive blank lines, or a blank line at the end of the file
+  const precedingBlankLine = /\n([ \t]*\n)$/.exec(content.slice(0, start));
+  const followingBlankLine = /^[ \t]*\n/.exec(content.slice(end));
+  if ((start === 0 || precedingBlankLine) && followingBlankLine) {
+    end += followingBlankLine[0].length;
+  } else if (precedingBlankLine && end === content.length) {
+    start -= precedingBlankLine[1].length;
+  }
+
+  return { start, end };
+}
+
+function countLines(content, start, end) {
+  let count = 0;
+  for (let i = content.indexOf('\n', start); i !== -1 && i < end; i = content.indexOf('\n', i + 1)) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Formats hunks returned by removeFunctions() as a unified diff.
+ */
+function formatDiff(filename, hunks) {
+  const relativePath = path.relative(process.cwd(), path.resolve(filename));
+  const lines = [`--- a/${relativePath}`, `+++ b/${relativePath}`];
+  hunks.forEach(({ oldStart, oldLines, newStart, newLines }) => {
+    lines.push(`@@ -${oldStart},${oldLines.length} +${newStart},${newLines.length} @@`);
+    oldLines.forEach((line) => lines.push(`-${line}`));
+    newLines.forEach((line) => lines.push(`+${line}`));
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  findUnusedFunctions,
+  findReferences,
+  removeFunctions,
+  formatDiff,
+}
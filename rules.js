@@ -0,0 +1,185 @@
+/**
+ * Built-in lint rules.
+ *
+ * Each rule is an object with:
+ *  - description: short human-readable summary of what the rule checks
+ *  - defaultSeverity: "off" | "warn" | "error", used if the rule is not configured in shzm.config.js
+ *  - defaultOptions?: Object, merged with options from shzm.config.js
+ *  - check(context): called once with the full dump. Should call context.report({ filename, start, message }) for
+ *    every violation. context.dump is the same structure as emitted by "shzm dump", and context.options is the
+ *    merged rule options. context.files has the same structure as context.dump, but also includes files that were
+ *    only reached by following imports, e.g. so that calls can be checked against the functions they resolve to.
+ */
+const { forEachFunction, forEachCaller, getFullTestName } = require('./utils');
+const { DETOX_ELEMENT_ACTIONS, DETOX_EXPECTATIONS, DETOX_DEVICE_METHODS } = require('./detox');
+
+const noDuplicateFunctions = {
+  description: 'Exported functions should not share the same name',
+  defaultSeverity: 'error',
+  check({ dump, report }) {
+    const byName = new Map();
+    forEachFunction(dump, (func, filename) => {
+      if (!byName.has(func.name)) {
+        byName.set(func.name, []);
+      }
+      byName.get(func.name).push({ filename, func });
+    });
+
+    byName.forEach((matches, name) => {
+      if (matches.length < 2) {
+        return;
+      }
+      const [first, ...duplicates] = matches;
+      duplicates.forEach(({ filename, func }) => {
+        report({
+          filename,
+          start: func.start,
+          message: `Function "${name}" is already defined in ${first.filename}`
+        });
+      });
+    });
+  }
+};
+
+const noUnusedFunctions = {
+  description: 'Exported functions should be called by at least one test, hook or other function',
+  defaultSeverity: 'warn',
+  check({ dump, report }) {
+    // Calls are recorded as dotted names, e.g. "helpers.loginAs", so we match on the last segment.
+    const called = new Set();
+    forEachCaller(dump, (caller) => {
+      caller.calls.forEach((call) => called.add(call.name.split('.').at(-1)));
+    });
+
+    forEachFunction(dump, (func, filename) => {
+      if (!called.has(func.name)) {
+        report({
+          filename,
+          start: func.start,
+          message: `Function "${func.name}" is exported but never called`
+        });
+      }
+    });
+  }
+};
+
+const noDuplicateTests = {
+  description: 'Tests within the same file should not share the same fully qualified name',
+  defaultSeverity: 'error',
+  check({ dump, report }) {
+    Object.entries(dump).forEach(([filename, fileDump]) => {
+      const seen = new Set();
+      (fileDump.tests || []).forEach((test) => {
+        const fullName = getFullTestName(test);
+        if (seen.has(fullName)) {
+          report({
+            filename,
+            start: test.start,
+            message: `Duplicate test name "${fullName}"`
+          });
+        }
+        seen.add(fullName);
+      });
+    });
+  }
+};
+
+const functionNamePattern = {
+  description: 'Exported function names should match the given pattern',
+  defaultSeverity: 'warn',
+  defaultOptions: { pattern: '^[a-z][a-zA-Z0-9]*$' },
+  check({ dump, options, report }) {
+    const pattern = new RegExp(options.pattern);
+    forEachFunction(dump, (func, filename) => {
+      if (!pattern.test(func.name)) {
+        report({
+          filename,
+          start: func.start,
+          message: `Function name "${func.name}" does not match pattern /${options.pattern}/`
+        });
+      }
+    });
+  }
+};
+
+function isAsyncDetoxCall(name) {
+  const parts = name.split('.');
+  const last = parts.at(-1);
+  switch (parts[0]) {
+    case 'element()':  // element(by.id('a')).atIndex(0).tap()
+      return DETOX_ELEMENT_ACTIONS.has(last);
+    case 'expect()':  // expect(element(by.id('a'))).not.toBeVisible()
+      return DETOX_EXPECTATIONS.has(last);
+    case 'waitFor()':  // waitFor(element(by.id('a'))).toBeVisible().withTimeout(2000)
+      return parts.length > 1;
+    case 'device':  // device.launchApp()
+      return parts.length === 2 && DETOX_DEVICE_METHODS.has(last);
+    default:
+      return false;
+  }
+}
+
+const noUnawaitedAsyncCalls = {
+  description: 'Calls to async functions and Detox APIs should be awaited, returned or passed to Promise.all()',
+  defaultSeverity: 'error',
+  check({ dump, files, report }) {
+    // Async functions and class methods, by "<filename>#<name>" as in CallObj "resolved"
+    const asyncFunctions = new Set();
+    forEachFunction(files, (func, filename) => {
+      if (func.async) {
+        asyncFunctions.add(`${filename}#${func.name}`);
+      }
+    });
+    forEachCaller(files, (method, filename, classObj) => {
+      if (classObj && method.async) {
+        asyncFunctions.add(`${filename}#${classObj.name}.${method.name}`);
+      }
+    });
+
+    forEachCaller(dump, (caller, filename) => {
+      caller.calls.forEach((call) => {
+        if (call.result !== 'ignored') {
+          return;
+        }
+        const isAsyncFunction = call.resolved && asyncFunctions.has(`${call.resolved.filename}#${call.resolved.name}`);
+        if (isAsyncFunction || isAsyncDetoxCall(call.name)) {
+          report({
+            filename,
+            start: call.start,
+            message: `Async call "${call.name}()" is not awaited, returned or passed to Promise.all()`
+          });
+        }
+      });
+    });
+  }
+};
+
+const testNamePattern = {
+  description: 'Test names should match the given pattern',
+  defaultSeverity: 'off',
+  defaultOptions: { pattern: '.*' },
+  check({ dump, options, report }) {
+    const pattern = new RegExp(options.pattern);
+    Object.entries(dump).forEach(([filename, fileDump]) => {
+      (fileDump.tests || []).forEach((test) => {
+        const name = test.scope.at(-1).name;
+        if (!pattern.test(name)) {
+          report({
+            filename,
+            start: test.start,
+            message: `Test name "${name}" does not match pattern /${options.pattern}/`
+          });
+        }
+      });
+    });
+  }
+};
+
+module.exports = {
+  'no-duplicate-functions': noDuplicateFunctions,
+  'no-unused-functions': noUnusedFunctions,
+  'no-duplicate-tests': noDuplicateTests,
+  'function-name-pattern': functionNamePattern,
+  'test-name-pattern': testNamePattern,
+  'no-unawaited-async-calls': noUnawaitedAsyncCalls,
+}
@@ -0,0 +1,95 @@
+const { getFullTestName, formatTestNamePattern } = require('./utils');
+
+/**
+ * Parses a tag filter from the command line, e.g. "smoke", "@smoke" or "jira=QW-123", into { name, value? }.
+ */
+function parseTagFilter(text) {
+  const [name, ...rest] = text.replace(/^@/, '').split('=');
+  return { name, ...(rest.length > 0 && { value: rest.join('=') }) };
+}
+
+/**
+ * Returns tests of the given dump (e.g. the output of "shzm tests") that match all of the given filters:
+ *  - name: RegExp tested against the full name of the test, as reported by Jest. For parametrised tests whose names
+ *    could be expanded, the test matches if any of its expanded names do.
+ *  - tags: Array of { name, value? } (see parseTagFilter()) that the test must all have, either on itself or
+ *    inherited from a parent describe(). Without "value", any value of the tag matches.
+ *  - excludeTags: Array of { name, value? } that the test must not have
+ *  - platform: e.g. "ios" or "android". Leaves out tests limited to other platforms only, according to
+ *    "platformFlags", i.e. Object of platform => flags that limit tests to it, as returned by getPlatformFlags()
+ *  - excludeSkipped: if true, leaves out tests that are effectively skipped
+ *
+ * Returns Array of { filename, name, names, id, start, scope, tags } where "names" lists the full names of the test
+ * that matched "name", expanded for parametrised tests where possible.
+ */
+function selectTests(dump, filters = {}) {
+  const hasTag = (test, filter) => (test.tags || []).some((tag) => {
+    return tag.name === filter.name && (filter.value === undefined || tag.value === filter.value);
+  });
+
+  const selected = [];
+  Object.entries(dump).forEach(([filename, fileDump]) => {
+    ((fileDump && fileDump.tests) || []).forEach((test) => {
+      if (filters.excludeSkipped && test.skip) {
+        return;
+      }
+      if (filters.platform && !runsOnPlatform(test, filters.platform, filters.platformFlags || {})) {
+        return;
+      }
+      if (!(filters.tags || []).every((filter) => hasTag(test, filter))) {
+        return;
+      }
+      if ((filters.excludeTags || []).some((filter) => hasTag(test, filter))) {
+        return;
+      }
+      const names = expandTestNames(test).filter((name) => !filters.name || filters.name.test(name));
+      if (names.length === 0) {
+        return;
+      }
+      selected.push({
+        filename,
+        name: getFullTestName(test),
+        names,
+        id: test.id,
+        start: test.start,
+        scope: test.scope,
+        ...(test.tags && { tags: test.tags }),
+      });
+    });
+  });
+  return selected;
+}
+
+function runsOnPlatform(test, platform, platformFlags) {
+  // Tests that are not limited to any platform run on all of them
+  const platforms = Object.keys(platformFlags).filter((p) => platformFlags[p].some((flag) => test[flag]));
+  return platforms.length === 0 || platforms.includes(platform);
+}
+
+function expandTestNames(test) {
+  // Full names of every combination of expanded names of parametrised describe()/it(), e.g. "with 1 adds 2"
+  return test.scope.reduce((prefixes, scope) => {
+    const names = scope.names ? Array.from(new Set(scope.names)) : [scope.name];
+    return prefixes.flatMap((prefix) => names.map((name) => prefix === null ? name : `${prefix} ${name}`));
+  }, [null]);
+}
+
+/**
+ * Returns regex for Jest's --testNamePattern that matches exactly the tests returned by selectTests(). Unlike
+ * formatTestNamePattern(), this leaves out expanded names of parametrised tests that did not match the "name" filter.
+ */
+function formatSelectionPattern(selected) {
+  return formatTestNamePattern(selected.flatMap((test) => {
+    if (test.names.length === expandTestNames(test).length) {
+      return [test];
+    }
+    const each = test.scope.some((s) => s.each && !s.names);  // names still contain placeholders such as "%s"
+    return test.names.map((name) => ({ scope: [{ name, ...(each && { each }) }] }));
+  }));
+}
+
+module.exports = {
+  parseTagFilter,
+  selectTests,
+  formatSelectionPattern,
+}
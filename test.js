@@ -0,0 +1,1734 @@
+/**
+ * Tests, run with "npm test". Each test writes its fixture files to a temporary dir, then runs the CLI (cli.js) or the
+ * Node API (index.js) on them.
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { analyze, analyzeSource, ConfigError, InputError, FileParseError } = require('./index');
+
+const CLI = path.join(__dirname, 'cli.js');
+
+const tmpDirs = [];
+after(() => tmpDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Writes the given files (relative filename => content) to a new temporary dir, and returns the path of that dir.
+ */
+function createFixture(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shzm-test-'));
+  tmpDirs.push(dir);
+  Object.entries(files).forEach(([filename, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, filename)), { recursive: true });
+    fs.writeFileSync(path.join(dir, filename), content);
+  });
+  return dir;
+}
+
+/**
+ * Runs the CLI with the given args from the given dir, and returns { status, stdout, stderr }.
+ */
+function shzm(cwd, ...args) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: 'utf8', timeout: 60000 });
+  return { status, stdout, stderr };
+}
+
+/**
+ * Runs the CLI as shzm(), and returns its output parsed as JSON.
+ */
+function shzmJSON(cwd, ...args) {
+  const { status, stdout, stderr } = shzm(cwd, ...args);
+  assert.equal(status, 0, stderr);
+  return JSON.parse(stdout);
+}
+
+describe('lint', () => {
+  const HELPERS = `
+export async function loginAs(user) {
+  await element(by.id(user)).tap();
+}
+
+export async function Logout() {
+  await element(by.id('logout')).tap();
+}
+`;
+  const SPEC = `
+import { loginAs } from './helpers';
+
+describe('Login', () => {
+  it('works', async () => {
+    await loginAs('alice');
+  });
+
+  it('works', async () => {
+    await loginAs('bob');
+  });
+});
+`;
+
+  it('reports violations of built-in rules, and fails on errors', () => {
+    const dir = createFixture({ 'e2e/helpers.js': HELPERS, 'e2e/login.spec.js': SPEC });
+    const { status, stdout } = shzm(dir, 'lint', 'e2e');
+    assert.equal(status, 1);
+    const lines = stdout.split('\n');
+    assert.ok(lines.some((line) => /login\.spec\.js:9:3 {2}error .*\(no-duplicate-tests\)$/.test(line)), stdout);
+    assert.ok(lines.some((line) => /helpers\.js:6:1 {2}warn .*\(function-name-pattern\)$/.test(line)), stdout);
+    assert.match(stdout, /\d+ problem\(s\) \(1 error\(s\), \d+ warning\(s\)\)/);
+  });
+
+  it('applies rule settings and custom rules from the config file', () => {
+    const dir = createFixture({
+      'e2e/helpers.js': HELPERS,
+      'e2e/login.spec.js': SPEC,
+      'shzm.config.js': `
+module.exports = {
+  rules: {
+    'no-duplicate-tests': 'off',
+    'function-name-pattern': 'off',
+    'no-unused-functions': 'off',
+    'test-name-pattern': ['warn', { pattern: '^should ' }],
+  },
+  customRules: {
+    'no-bob': {
+      description: 'Tests should not log in as bob',
+      defaultSeverity: 'error',
+      check({ dump, report }) {
+        for (const [filename, { tests }] of Object.entries(dump)) {
+          (tests || []).flatMap((t) => t.calls).filter((c) => c.name === 'loginAs' && c.literalArguments && c.literalArguments[0] === 'bob').forEach((call) => {
+            report({ filename, start: call.start, message: 'Use alice' });
+          });
+        }
+      },
+    },
+  },
+};
+`,
+    });
+    const { status, stdout } = shzm(dir, 'lint', 'e2e');
+    assert.equal(status, 1);
+    const lines = stdout.split('\n').filter((line) => line.includes('  '));
+    assert.equal(lines.filter((line) => line.endsWith('(test-name-pattern)')).length, 2, stdout);
+    assert.equal(lines.filter((line) => line.endsWith('(no-bob)')).length, 1, stdout);
+    assert.ok(!/no-duplicate-tests|function-name-pattern|no-unused-functions/.test(stdout), stdout);
+  });
+
+  it('exits with success if there are only warnings', () => {
+    const dir = createFixture({
+      'e2e/helpers.js': HELPERS,
+      'e2e/login.spec.js': SPEC,
+      'shzm.config.js': `module.exports = { rules: { 'no-duplicate-tests': 'warn' } };\n`,
+    });
+    assert.equal(shzm(dir, 'lint', 'e2e').status, 0);
+  });
+
+  it('rejects invalid severities', () => {
+    const dir = createFixture({
+      'e2e/login.spec.js': SPEC,
+      'shzm.config.js': `module.exports = { rules: { 'no-duplicate-tests': 'fatal' } };\n`,
+    });
+    const { status, stderr } = shzm(dir, 'lint', 'e2e');
+    assert.equal(status, 1);
+    assert.match(stderr, /invalid severity "fatal" for lint rule "no-duplicate-tests"/);
+  });
+
+  it('does not crash on calls to files that cannot be loaded', () => {
+    const dir = createFixture({
+      'scripts/seed.js': '#!/usr/bin/env node\nexports.seed = async () => {};\n',
+      'e2e/a.spec.js': `
+const { seed } = require('../scripts/seed');
+it('seeds', async () => {
+  seed();
+});
+`,
+    });
+    [[], ['--keep-going']].forEach((options) => {
+      const { status, stderr } = shzm(dir, 'lint', 'e2e', ...options);
+      assert.equal(status, 0, stderr);
+    });
+  });
+});
+
+describe('graph', () => {
+  const FILES = {
+    'support/auth.js': `
+export async function typeCredentials(user) {
+  await element(by.id('user')).typeText(user);
+}
+
+export async function loginAs(user) {
+  await typeCredentials(user);
+  await element(by.id('submit')).tap();
+}
+`,
+    'e2e/login.spec.js': `
+import { loginAs } from '../support/auth';
+import { format } from 'date-fns';
+import { missing } from './missing';
+
+describe('Login', () => {
+  beforeEach(async () => {
+    await device.launchApp();
+  });
+
+  it('works', async () => {
+    await loginAs('alice');
+    format(new Date());
+    missing();
+    undeclared();
+  });
+});
+`,
+  };
+
+  it('links calls to exported functions, following imports outside the given paths', () => {
+    const dir = createFixture(FILES);
+    const graph = shzmJSON(dir, 'graph', 'e2e');
+    assert.deepEqual(Object.keys(graph.functions).sort(), ['support/auth.js#loginAs', 'support/auth.js#typeCredentials']);
+    assert.deepEqual(graph.functions['support/auth.js#loginAs'].calls, ['support/auth.js#typeCredentials']);
+    assert.deepEqual(graph.functions['support/auth.js#typeCredentials'].calledBy, ['support/auth.js#loginAs']);
+
+    const test = Object.values(graph.tests)[0];
+    assert.equal(test.name, 'Login works');
+    assert.deepEqual(test.calls, ['support/auth.js#loginAs']);
+    assert.deepEqual(Object.values(graph.hooks).map((h) => [h.hook, h.calls]), [['beforeEach', []]]);
+
+    assert.deepEqual(graph.unresolved.map((u) => [u.name, u.reason]), [
+      ['format', 'external-module'],
+      ['missing', 'module-not-found'],
+      ['undeclared', 'unknown-identifier'],
+    ]);
+  });
+
+  it('does not report calls on local variables and parameters as unresolved', () => {
+    const dir = createFixture({
+      'support/auth.js': `export async function loginAs(user) {}\n`,
+      'e2e/users.spec.js': `
+import { loginAs } from '../support/auth';
+
+export async function forEach() {}
+
+it('works', async () => {
+  const users = await fetchUsers();
+  users.forEach((user) => user.reset());
+  for (const screen of screens) {
+    await screen.open();
+  }
+  try {
+    await loginAs('alice');
+  } catch (error) {
+    error.toString();
+  }
+});
+
+it('does not link locals that shadow imports', async () => {
+  const loginAs = async () => {};
+  await loginAs('bob');
+});
+`,
+    });
+    const graph = shzmJSON(dir, 'graph', 'e2e');
+    assert.deepEqual(graph.unresolved.map((u) => [u.name, u.reason]), [['fetchUsers', 'unknown-identifier']]);
+    assert.deepEqual(Object.values(graph.tests).map((t) => t.calls), [['support/auth.js#loginAs'], []]);
+
+    const { stdout } = shzm(dir, 'prune', 'e2e');
+    assert.match(stdout, /Function "forEach" is not used/);
+  });
+
+  it('lists callers and callees, transitively', () => {
+    const dir = createFixture(FILES);
+    const callers = shzmJSON(dir, 'graph', 'e2e', '--callers-of', 'typeCredentials');
+    assert.deepEqual(callers.functions, ['support/auth.js#loginAs']);
+    assert.deepEqual(callers.tests.map((t) => t.name), ['Login works']);
+
+    const callees = shzmJSON(dir, 'graph', 'e2e', '--callees-of', 'support/auth.js#loginAs');
+    assert.deepEqual(callees.functions, ['support/auth.js#typeCredentials']);
+  });
+});
+
+describe('prune', () => {
+  const HELPERS = `
+export async function used() {
+  await element(by.id('used')).tap();
+}
+
+export async function onlyUsedByUnused() {
+  await element(by.id('x')).tap();
+}
+
+export async function unused() {
+  await onlyUsedByUnused();
+}
+
+async function unusedDefault() {}
+
+export default unusedDefault;
+`;
+  const SPEC = `
+import { used } from './helpers';
+it('works', async () => {
+  await used();
+});
+`;
+
+  it('lists functions that are only used by unused functions', () => {
+    const dir = createFixture({ 'e2e/helpers.js': HELPERS, 'e2e/a.spec.js': SPEC });
+    const { status, stdout } = shzm(dir, 'prune', 'e2e');
+    assert.equal(status, 0);
+    assert.deepEqual(stdout.split('\n').filter((line) => line.includes('is not used')).map((line) => line.split('  ')[1]), [
+      'Function "onlyUsedByUnused" is not used',
+      'Function "unused" is not used',
+      'Function "unusedDefault" is not used',
+    ]);
+    assert.match(stdout, /3 unused function\(s\) found/);
+  });
+
+  it('keeps functions whose name matches an unresolved call', () => {
+    const dir = createFixture({
+      'e2e/helpers.js': HELPERS,
+      'e2e/a.spec.js': `${SPEC}\nit('also works', async () => {\n  await page.unused();\n});\n`,
+    });
+    const { stdout } = shzm(dir, 'prune', 'e2e');
+    assert.doesNotMatch(stdout, /"(unused|onlyUsedByUnused)"/);
+  });
+
+  it('deletes unused functions and their default exports with --fix', () => {
+    const dir = createFixture({ 'e2e/helpers.js': HELPERS, 'e2e/a.spec.js': SPEC });
+    const { status, stdout } = shzm(dir, 'prune', 'e2e', '--fix');
+    assert.equal(status, 0);
+    assert.match(stdout, /Removed 3 unused function\(s\) from 1 file\(s\)/);
+    assert.equal(fs.readFileSync(path.join(dir, 'e2e/helpers.js'), 'utf8'), `
+export async function used() {
+  await element(by.id('used')).tap();
+}
+`);
+    assert.match(shzm(dir, 'prune', 'e2e').stdout, /0 unused function\(s\) found/);
+  });
+
+  it('keeps functions passed by reference or called by local functions', () => {
+    const dir = createFixture({
+      'e2e/helpers.js': `
+async function retry(fn) {
+  return fn();
+}
+
+async function loginAs(user) {}
+
+function internal() {
+  return loginAs('bob');
+}
+
+async function used() {
+  await retry(loginAs);
+}
+
+async function onlyReferencedByUnused() {}
+
+async function unused() {
+  await retry(onlyReferencedByUnused);
+}
+
+module.exports = { used, retry, loginAs, onlyReferencedByUnused, unused };
+`,
+      'e2e/auth.js': `
+export async function signUp() {}
+export async function signIn() {}
+export async function signOut() {}
+`,
+      'e2e/a.spec.js': `
+import { signUp } from './auth';
+import * as auth from './auth';
+const { used, retry } = require('./helpers');
+it('signs up', async () => {
+  await used();
+  await retry(signUp);
+});
+const steps = [auth.signIn];
+`,
+    });
+    const { stdout } = shzm(dir, 'prune', 'e2e');
+    assert.deepEqual(stdout.split('\n').filter((line) => line.includes('is not used')).map((line) => line.split('  ')[1]), [
+      'Function "signOut" is not used',
+      'Function "onlyReferencedByUnused" is not used',
+      'Function "unused" is not used',
+    ]);
+  });
+
+  it('drops the comma before the last entry of an export list with --fix', () => {
+    const dir = createFixture({
+      'e2e/cjs.js': 'async function used() {}\n\nasync function a() {}\n\nmodule.exports = { used, a };\n',
+      'e2e/esm.js': 'async function kept() {}\n\nasync function c() {}\n\nexport { kept, c };\n',
+      'e2e/a.spec.js': `
+const { used } = require('./cjs');
+import { kept } from './esm';
+it('works', async () => {
+  await used();
+  await kept();
+});
+`,
+    });
+    shzm(dir, 'prune', 'e2e', '--fix');
+    assert.equal(fs.readFileSync(path.join(dir, 'e2e/cjs.js'), 'utf8'), 'async function used() {}\n\nmodule.exports = { used };\n');
+    assert.equal(fs.readFileSync(path.join(dir, 'e2e/esm.js'), 'utf8'), 'async function kept() {}\n\nexport { kept };\n');
+  });
+
+  it('drops leftover commas and empty export lists when the last entries are deleted with --fix', () => {
+    const dir = createFixture({
+      'e2e/cjs.js': 'async function used() {}\n\nasync function a() {}\n\nasync function b() {}\n\nmodule.exports = { used, a, b };\n',
+      'e2e/esm.js': 'export async function kept() {}\n\nasync function c() {}\n\nasync function d() {}\n\nexport { c, d };\n',
+      'e2e/a.spec.js': `
+const { used } = require('./cjs');
+import { kept } from './esm';
+it('works', async () => {
+  await used();
+  await kept();
+});
+`,
+    });
+    shzm(dir, 'prune', 'e2e', '--fix');
+    assert.equal(fs.readFileSync(path.join(dir, 'e2e/cjs.js'), 'utf8'), 'async function used() {}\n\nmodule.exports = { used };\n');
+    assert.equal(fs.readFileSync(path.join(dir, 'e2e/esm.js'), 'utf8'), 'export async function kept() {}\n');
+  });
+
+  it('drops export lists with a single entry, and commas left in lists with an entry per line, with --fix', () => {
+    const dir = createFixture({
+      'e2e/single.js': 'async function gone() {}\n\nmodule.exports = { gone };\n',
+      'e2e/multiline.js': 'async function keep() {}\n\nasync function drop() {}\n\nmodule.exports = {\n  keep,\n  drop\n};\n',
+      'e2e/all.js': 'async function e() {}\n\nasync function f() {}\n\nmodule.exports = {\n  e,\n  f\n};\n',
+      'e2e/a.spec.js': `
+const { keep } = require('./multiline');
+it('works', async () => {
+  await keep();
+});
+`,
+    });
+    shzm(dir, 'prune', 'e2e', '--fix');
+    assert.equal(fs.readFileSync(path.join(dir, 'e2e/single.js'), 'utf8'), '');
+    assert.equal(fs.readFileSync(path.join(dir, 'e2e/multiline.js'), 'utf8'), 'async function keep() {}\n\nmodule.exports = {\n  keep\n};\n');
+    assert.equal(fs.readFileSync(path.join(dir, 'e2e/all.js'), 'utf8'), '');
+  });
+});
+
+describe('CommonJS', () => {
+  const HELPERS = `
+async function loginAs(user) {
+  await element(by.id(user)).tap();
+}
+
+function unused() {}
+
+module.exports = { loginAs, unused, logout: async () => {}, async reset() {} };
+module.exports.openMenu = async () => {};
+exports.closeMenu = async function () {};
+`;
+
+  it('dumps functions exported via module.exports and exports', () => {
+    const dir = createFixture({ 'e2e/helpers.js': HELPERS });
+    const dump = shzmJSON(dir, 'dump', 'e2e');
+    const functions = dump['e2e/helpers.js'].functions;
+    assert.deepEqual(functions.map((f) => f.name).sort(), ['closeMenu', 'loginAs', 'logout', 'openMenu', 'reset', 'unused']);
+    const loginAs = functions.find((f) => f.name === 'loginAs');
+    assert.equal(HELPERS.slice(loginAs.exportStart, loginAs.exportEnd), 'loginAs');
+    assert.ok(HELPERS.slice(loginAs.start, loginAs.end).startsWith('async function loginAs'));
+  });
+
+  it('treats module.exports = func as a default export', () => {
+    const dir = createFixture({ 'e2e/helpers.js': 'function setup() {}\nmodule.exports = setup;\n' });
+    const [setup] = shzmJSON(dir, 'dump', 'e2e')['e2e/helpers.js'].functions;
+    assert.equal(setup.name, 'setup');
+    assert.equal(setup.default, true);
+  });
+
+  it('links calls via require()', () => {
+    const dir = createFixture({
+      'e2e/helpers.js': HELPERS,
+      'e2e/a.spec.js': `
+const { loginAs: login } = require('./helpers');
+const helpers = require('./helpers');
+it('works', async () => {
+  await login('alice');
+  await helpers.openMenu();
+});
+`,
+    });
+    const dump = shzmJSON(dir, 'dump', 'e2e');
+    assert.deepEqual(dump['e2e/a.spec.js'].imports.map(({ source, imported, local }) => [source, imported, local]), [
+      ['./helpers', 'loginAs', 'login'],
+      ['./helpers', '*', 'helpers'],
+    ]);
+    const graph = shzmJSON(dir, 'graph', 'e2e');
+    assert.deepEqual(Object.values(graph.tests)[0].calls, ['e2e/helpers.js#loginAs', 'e2e/helpers.js#openMenu']);
+  });
+
+  it('deletes unused functions and their module.exports entries with prune --fix', () => {
+    const dir = createFixture({
+      'e2e/helpers.js': 'async function used() {}\n\nasync function unused() {}\n\nmodule.exports = { unused, used };\n',
+      'e2e/a.spec.js': `const { used } = require('./helpers');\nit('works', async () => {\n  await used();\n});\n`,
+    });
+    shzm(dir, 'prune', 'e2e', '--fix');
+    assert.equal(fs.readFileSync(path.join(dir, 'e2e/helpers.js'), 'utf8'), 'async function used() {}\n\nmodule.exports = { used };\n');
+  });
+});
+
+describe('re-exports', () => {
+  const FILES = {
+    'support/auth.js': `
+async function loginAs(user) {}
+export { loginAs as signIn };
+export async function logout() {}
+`,
+    'support/menu.js': 'export async function openMenu() {}\n',
+    'support/index.js': `
+export { signIn as login } from './auth';
+export * from './menu';
+`,
+    'e2e/a.spec.js': `
+import { login, openMenu } from '../support';
+it('works', async () => {
+  await login('alice');
+  await openMenu();
+});
+`,
+  };
+
+  it('lists export specifiers by their exported name', () => {
+    const dir = createFixture(FILES);
+    const { functions } = shzmJSON(dir, 'dump', 'support/auth.js')['support/auth.js'];
+    assert.deepEqual(functions.map(({ name, localName }) => [name, localName]), [['signIn', 'loginAs'], ['logout', undefined]]);
+  });
+
+  it('dumps re-exports, and follows them with --follow-reexports', () => {
+    const dir = createFixture(FILES);
+    const { reexports } = shzmJSON(dir, 'dump', 'support/index.js')['support/index.js'];
+    assert.deepEqual(reexports.map(({ source, imported, exported, resolved }) => [source, imported, exported, resolved]), [
+      ['./auth', 'signIn', 'login', undefined],
+      ['./menu', '*', '*', undefined],
+    ]);
+
+    const followed = shzmJSON(dir, 'dump', 'support/index.js', '--follow-reexports')['support/index.js'].reexports;
+    assert.deepEqual(followed.map((r) => r.resolved), [
+      [{ exported: 'login', filename: 'support/auth.js', name: 'signIn' }],
+      [{ exported: 'openMenu', filename: 'support/menu.js', name: 'openMenu' }],
+    ]);
+  });
+
+  it('links calls through barrel files', () => {
+    const dir = createFixture(FILES);
+    const graph = shzmJSON(dir, 'graph', 'e2e');
+    assert.deepEqual(Object.values(graph.tests)[0].calls, ['support/auth.js#signIn', 'support/menu.js#openMenu']);
+    assert.deepEqual(graph.unresolved, []);
+  });
+});
+
+describe('classes', () => {
+  const SCREEN = `
+export class LoginScreen {
+  async login(user) {
+    await this.typeUser(user);
+  }
+
+  async typeUser(user) {
+    await element(by.id('user')).typeText(user);
+  }
+
+  static async open() {}
+
+  get title() {
+    return 'Login';
+  }
+}
+
+export default new LoginScreen();
+`;
+
+  it('dumps exported classes and their methods', () => {
+    const dir = createFixture({ 'e2e/LoginScreen.js': SCREEN });
+    const [classObj] = shzmJSON(dir, 'dump', 'e2e')['e2e/LoginScreen.js'].classes;
+    assert.equal(classObj.name, 'LoginScreen');
+    assert.deepEqual(classObj.exports.map(({ name, instance }) => [name, instance]), [['LoginScreen', undefined], ['default', true]]);
+    assert.deepEqual(classObj.methods.map(({ name, kind, static: isStatic }) => [name, kind, isStatic]), [
+      ['login', 'method', undefined],
+      ['typeUser', 'method', undefined],
+      ['open', 'method', true],
+      ['title', 'get', undefined],
+    ]);
+  });
+
+  it('links calls on imported instances and classes, and on this', () => {
+    const dir = createFixture({
+      'e2e/LoginScreen.js': SCREEN,
+      'e2e/a.spec.js': `
+import loginScreen, { LoginScreen } from './LoginScreen';
+it('works', async () => {
+  await LoginScreen.open();
+  await loginScreen.login('alice');
+  await LoginScreen.login('bob');
+});
+`,
+    });
+    const graph = shzmJSON(dir, 'graph', 'e2e');
+    assert.deepEqual(Object.values(graph.tests)[0].calls, ['e2e/LoginScreen.js#LoginScreen.open', 'e2e/LoginScreen.js#LoginScreen.login']);
+    assert.deepEqual(graph.functions['e2e/LoginScreen.js#LoginScreen.login'].calls, ['e2e/LoginScreen.js#LoginScreen.typeUser']);
+    assert.equal(graph.functions['e2e/LoginScreen.js#LoginScreen.login'].className, 'LoginScreen');
+    assert.deepEqual(graph.unresolved.map((u) => [u.name, u.reason]), [['LoginScreen.login', 'export-not-found']]);
+  });
+});
+
+describe('parametrised tests', () => {
+  it('dumps it.each and describe.each with their tables and expanded names, formatted as Jest would', () => {
+    const dir = createFixture({
+      'e2e/a.spec.js': `
+describe.each(['ios', 'android'])('on %s', (platform) => {
+  it.each([[1, 2], [3, 4]])('adds %i and %i', async (a, b) => {});
+});
+
+it.each\`
+  user     | role
+  \${'alice'} | \${'admin'}
+  \${'bob'}   | \${'guest'}
+\`('logs in as $user', async ({ user }) => {});
+
+test('plain test()', async () => {});
+`,
+    });
+    const { tests } = shzmJSON(dir, 'tests', 'e2e')['e2e/a.spec.js'];
+    assert.equal(tests.length, 3);
+
+    const [nested, tagged, plain] = tests;
+    assert.equal(nested.each, true);
+    assert.deepEqual(nested.scope.map(({ func, table, names }) => [func, table, names]), [
+      ['describe.each()', ['ios', 'android'], ['on ios', 'on android']],
+      ['it.each()', [[1, 2], [3, 4]], ['adds 1 and 2', 'adds 3 and 4']],
+    ]);
+    assert.deepEqual(tagged.scope[0].table, [{ user: 'alice', role: 'admin' }, { user: 'bob', role: 'guest' }]);
+    assert.deepEqual(tagged.scope[0].names, ['logs in as "alice"', 'logs in as "bob"']);
+    assert.deepEqual(plain.scope.map((s) => s.func), ['test']);
+    assert.equal(plain.each, undefined);
+  });
+
+  it('recognises test and suite functions from the config file', () => {
+    const dir = createFixture({
+      'e2e/a.spec.js': `
+context('Login', () => {
+  scenario.only('works', async () => {});
+  it('is not a test here', async () => {});
+});
+`,
+      'shzm.config.js': `module.exports = { testIdentifiers: ['scenario'], describeIdentifiers: ['context'] };\n`,
+    });
+    const { tests } = shzmJSON(dir, 'tests', 'e2e')['e2e/a.spec.js'];
+    assert.deepEqual(tests.map((t) => [t.scope.map((s) => `${s.func} ${s.name}`), t.only]), [[['context Login', 'scenario.only works'], true]]);
+  });
+});
+
+describe('static evaluation', () => {
+  it('resolves constants in test names and call arguments, across files', () => {
+    const dir = createFixture({
+      'e2e/constants.js': `export const Users = Object.freeze({ ADMIN: 'admin' });\n`,
+      'e2e/index.js': `export * from './constants';\n`,
+      'e2e/a.spec.js': `
+import { Users } from './index';
+const PREFIX = 'Login';
+
+describe(\`\${PREFIX} screen\`, () => {
+  it(PREFIX + ' as ' + Users.ADMIN, async () => {
+    const retries = 0;
+    await loginAs(Users.ADMIN, { retries, ...{ fast: false } }, '');
+  });
+
+  it(\`as \${user.name}\`, async () => {
+    let name = 'bob';
+    await loginAs(name, 'x');
+  });
+});
+`,
+    });
+    const [admin, other] = shzmJSON(dir, 'dump', 'e2e')['e2e/a.spec.js'].tests;
+    assert.deepEqual(admin.scope.map((s) => s.name), ['Login screen', 'Login as admin']);
+    assert.deepEqual(admin.calls[0].literalArguments, { 0: 'admin', 1: { retries: 0, fast: false }, 2: '' });
+    assert.equal(admin.calls[0].unresolvedArguments, undefined);
+
+    assert.equal(other.scope[1].name, 'as ${user.name}');
+    assert.deepEqual(other.scope[1].unresolved, ['user.name']);
+    assert.deepEqual(other.calls[0].literalArguments, { 1: 'x' });
+    assert.deepEqual(other.calls[0].unresolvedArguments, [0]);
+  });
+});
+
+describe('parse errors', () => {
+  const FILES = {
+    'e2e/broken.spec.js': `describe('A', () => {\n`,
+    'e2e/ok.spec.js': `it('works', async () => {});\n`,
+    'e2e/script.js': `#!/usr/bin/env node\nconsole.log('hi');\n`,
+  };
+
+  it('stops at the first syntax error by default', () => {
+    const dir = createFixture(FILES);
+    const { status, stdout, stderr } = shzm(dir, 'dump', 'e2e');
+    assert.equal(status, 1);
+    assert.equal(stdout, '');
+    assert.match(stderr, /broken\.spec\.js/);
+    assert.match(stderr, /Syntax error/);
+  });
+
+  it('records errors per file and carries on with --keep-going', () => {
+    const dir = createFixture(FILES);
+    const { status, stdout, stderr } = shzm(dir, 'dump', 'e2e', '--keep-going');
+    assert.equal(status, 1);
+    assert.match(stderr, /broken\.spec\.js/);
+    const dump = JSON.parse(stdout);
+    assert.deepEqual(Object.keys(dump['e2e/broken.spec.js']), ['errors']);
+    assert.deepEqual(dump['e2e/broken.spec.js'].errors.map(({ type, line }) => [type, line]), [['syntax', 2]]);
+    assert.deepEqual(dump['e2e/script.js'].errors.map((e) => e.type), ['skipped']);
+    assert.equal(dump['e2e/ok.spec.js'].tests.length, 1);
+  });
+});
+
+describe('--locations', () => {
+  const HELPERS = `export async function loginAs(user) {
+  await element(by.id(user)).tap();
+}
+`;
+  const SPEC = `import { loginAs } from './helpers';
+
+describe('Login', () => {
+  it('works', async () => {
+    await loginAs('alice');
+  });
+});
+`;
+
+  it('adds line and column for every offset', () => {
+    const dir = createFixture({ 'e2e/helpers.js': HELPERS, 'e2e/login.spec.js': SPEC });
+    const dump = shzmJSON(dir, 'dump', 'e2e', '--locations');
+    const [test] = dump['e2e/login.spec.js'].tests;
+    assert.deepEqual(test.locations.start, { line: 4, col: 3 });
+    assert.deepEqual(test.locations.end, { line: 6, col: 5 });
+    assert.deepEqual(test.scope[0].locations.start, { line: 3, col: 1 });
+    assert.deepEqual(test.calls[0].locations.start, { line: 5, col: 11 });
+    assert.deepEqual(dump['e2e/login.spec.js'].imports[0].locations.start, { line: 1, col: 1 });
+    assert.deepEqual(dump['e2e/helpers.js'].functions[0].locations.funcEnd, { line: 3, col: 2 });
+  });
+
+  it('leaves the output unchanged without it', () => {
+    const dir = createFixture({ 'e2e/helpers.js': HELPERS, 'e2e/login.spec.js': SPEC });
+    assert.doesNotMatch(shzm(dir, 'dump', 'e2e').stdout, /"locations"/);
+  });
+
+  it('adds the same locations with "tests" and "functions", and with the cache and worker threads', () => {
+    const dir = createFixture({ 'e2e/helpers.js': HELPERS, 'e2e/login.spec.js': SPEC });
+    const expected = shzmJSON(dir, 'dump', 'e2e', '--locations');
+    const tests = shzmJSON(dir, 'tests', 'e2e', '--locations', '--cache', '--jobs', '2');
+    assert.deepEqual(tests['e2e/login.spec.js'].tests[0].locations, expected['e2e/login.spec.js'].tests[0].locations);
+    const functions = shzmJSON(dir, 'functions', 'e2e', '--locations', '--cache', '--jobs', '2');
+    assert.deepEqual(functions['e2e/helpers.js'].functions[0].locations, expected['e2e/helpers.js'].functions[0].locations);
+  });
+});
+
+describe('--hook-chain', () => {
+  const SPEC = `
+beforeAll(async () => {});
+afterEach(async () => {});
+
+describe('Outer', () => {
+  beforeEach(async () => {});
+  afterAll(async () => {});
+
+  describe('Inner', () => {
+    beforeEach(async () => {});
+    afterEach(async () => {});
+    it('works', async () => {});
+  });
+
+  it('runs outer hooks only', async () => {});
+});
+`;
+
+  it('lists the hooks that run around each test, in the order Jest runs them', () => {
+    const dir = createFixture({ 'e2e/a.spec.js': SPEC });
+    const { tests, hooks } = shzmJSON(dir, 'tests', 'e2e', '--hook-chain')['e2e/a.spec.js'];
+    const describeHook = ({ hook, index, start }) => {
+      assert.equal(hooks[hook][index].start, start);
+      return `${hook}[${index}]`;
+    };
+    assert.deepEqual(tests.map((t) => t.hookChain.map(describeHook)), [
+      ['beforeAll[0]', 'beforeEach[0]', 'beforeEach[1]', 'afterEach[1]', 'afterEach[0]', 'afterAll[0]'],
+      ['beforeAll[0]', 'beforeEach[0]', 'afterEach[0]', 'afterAll[0]'],
+    ]);
+  });
+
+  it('can be enabled from the config file', () => {
+    const dir = createFixture({ 'e2e/a.spec.js': SPEC, 'shzm.config.js': 'module.exports = { hookChain: true };\n' });
+    assert.ok(shzmJSON(dir, 'dump', 'e2e')['e2e/a.spec.js'].tests.every((t) => Array.isArray(t.hookChain)));
+    const noConfig = createFixture({ 'e2e/a.spec.js': SPEC });
+    assert.ok(shzmJSON(noConfig, 'dump', 'e2e')['e2e/a.spec.js'].tests.every((t) => t.hookChain === undefined));
+  });
+});
+
+/**
+ * Commits all files of the given dir to a new git repo there.
+ */
+function commitAll(dir, message) {
+  const git = (...args) => spawnSync('git', args, { cwd: dir, encoding: 'utf8', timeout: 60000 });
+  if (!fs.existsSync(path.join(dir, '.git'))) {
+    git('init', '--quiet');
+  }
+  git('add', '--all');
+  git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '--quiet', '--message', message);
+}
+
+describe('diff', () => {
+  const BASE = {
+    'e2e/a.spec.js': `
+describe('A', () => {
+  it('is removed', async () => {
+    await tap('removed');
+  });
+  it('is renamed', async () => {
+    await tap('renamed');
+  });
+  it('is modified', async () => {
+    await tap('before');
+  });
+  it('is skipped', async () => {
+    await tap('skipped');
+  });
+  it('is moved', async () => {
+    await tap('moved');
+  });
+  it('is unchanged', async () => {
+    await tap('unchanged');
+  });
+});
+`,
+    'e2e/b.spec.js': `describe('A', () => {});\n`,
+  };
+  const HEAD = {
+    'e2e/a.spec.js': `
+describe('A', () => {
+  it('has a new name', async () => {
+    await tap('renamed');
+  });
+  it('is modified', async () => {
+    await tap('after');
+  });
+  it.skip('is skipped', async () => {
+    await tap('skipped');
+  });
+  it('is unchanged', async () => {
+    await tap('unchanged');
+  });
+  it('is added', async () => {
+    await tap('added');
+  });
+});
+`,
+    'e2e/b.spec.js': `
+describe('A', () => {
+  it('is moved', async () => {
+    await tap('moved');
+  });
+});
+`,
+  };
+  const summarise = (out) => ({
+    added: out.added.map((t) => t.name),
+    removed: out.removed.map((t) => t.name),
+    renamed: out.renamed.map(({ base, head }) => [base.name, head.name]),
+    moved: out.moved.map(({ base, head }) => [base.filename, head.filename, head.name]),
+    modified: out.modified.map(({ head }) => head.name),
+    flagsChanged: out.flagsChanged.map(({ head, added, removed }) => [head.name, added, removed]),
+  });
+  const EXPECTED = {
+    added: ['A is added'],
+    removed: ['A is removed'],
+    renamed: [['A is renamed', 'A has a new name']],
+    moved: [['e2e/a.spec.js', 'e2e/b.spec.js', 'A is moved']],
+    modified: ['A is modified'],
+    flagsChanged: [['A is skipped', ['skip'], []]],
+  };
+
+  it('compares tests between git revisions, without touching the working tree', () => {
+    const dir = createFixture(BASE);
+    commitAll(dir, 'base');
+    Object.entries(HEAD).forEach(([filename, content]) => fs.writeFileSync(path.join(dir, filename), content));
+    commitAll(dir, 'head');
+    fs.writeFileSync(path.join(dir, 'e2e/a.spec.js'), 'not even javascript (');
+
+    const { status, stdout, stderr } = shzm(dir, 'diff', 'HEAD~1', 'HEAD', 'e2e', '--json');
+    assert.equal(status, 0, stderr);
+    assert.deepEqual(summarise(JSON.parse(stdout)), EXPECTED);
+
+    const text = shzm(dir, 'diff', 'HEAD~1', 'HEAD', 'e2e').stdout;
+    assert.match(text, /A is added/);
+    assert.match(text, /A is renamed/);
+  });
+
+  it('compares two saved dumps', () => {
+    const base = createFixture(BASE);
+    const head = createFixture(HEAD);
+    fs.writeFileSync(path.join(base, 'base.json'), shzm(base, 'dump', 'e2e').stdout);
+    fs.writeFileSync(path.join(base, 'head.json'), shzm(head, 'tests', 'e2e').stdout);
+    assert.deepEqual(summarise(shzmJSON(base, 'diff', 'base.json', 'head.json', '--json')), EXPECTED);
+  });
+
+  it('resolves imports against the files of each revision', () => {
+    const dir = createFixture({
+      'e2e/constants.js': `export const NAME = 'before';\n`,
+      'e2e/a.spec.js': `import { NAME } from './constants';\nit(NAME, async () => {});\n`,
+    });
+    commitAll(dir, 'base');
+    fs.mkdirSync(path.join(dir, 'e2e/constants'));
+    fs.renameSync(path.join(dir, 'e2e/constants.js'), path.join(dir, 'e2e/constants/index.js'));
+    fs.writeFileSync(path.join(dir, 'e2e/constants/index.js'), `export const NAME = 'after';\n`);
+    commitAll(dir, 'head');
+    fs.rmSync(path.join(dir, 'e2e/constants'), { recursive: true });  // working tree no longer matches either
+
+    const { renamed } = shzmJSON(dir, 'diff', 'HEAD~1', 'HEAD', 'e2e', '--json');
+    assert.deepEqual(renamed.map(({ base, head }) => [base.name, head.name]), [['before', 'after']]);
+  });
+
+  it('only compares test files, as "shzm tests" does', () => {
+    const dir = createFixture({
+      'e2e/login.e2e.js': `it('works', async () => {});\n`,
+      'shzm.config.js': `module.exports = { testExtensions: ['.e2e.js'] };\n`,
+    });
+    commitAll(dir, 'base');
+    fs.writeFileSync(path.join(dir, 'e2e/signup.e2e.js'), `it('signs up', async () => {});\n`);
+    fs.writeFileSync(path.join(dir, 'e2e/legacy.spec.js'), `it('is not in a test file', async () => {});\n`);
+    commitAll(dir, 'head');
+
+    const { added, removed } = shzmJSON(dir, 'diff', 'HEAD~1', 'HEAD', 'e2e', '--json');
+    assert.deepEqual(added.map(({ filename, name }) => [filename, name]), [['e2e/signup.e2e.js', 'signs up']]);
+    assert.deepEqual(removed, []);
+  });
+});
+
+describe('stable ids', () => {
+  const SPEC = `
+describe('Login', () => {
+  beforeEach(async () => {
+    await device.reloadReactNative();
+  });
+
+  it('works', async () => {
+    await tap('a');
+  });
+
+  it('works', async () => {
+    await tap('b');
+  });
+});
+`;
+
+  it('keeps ids and body hashes when code moves, and tells duplicates apart', () => {
+    const dir = createFixture({ 'e2e/a.spec.js': SPEC });
+    const before = shzmJSON(dir, 'dump', 'e2e')['e2e/a.spec.js'];
+    fs.writeFileSync(path.join(dir, 'e2e/a.spec.js'), `// a comment\nconst unrelated = 1;\n${SPEC}`);
+    const after = shzmJSON(dir, 'dump', 'e2e')['e2e/a.spec.js'];
+
+    assert.notEqual(after.tests[0].start, before.tests[0].start);
+    assert.deepEqual(after.tests.map((t) => t.id), before.tests.map((t) => t.id));
+    assert.deepEqual(after.tests.map((t) => t.bodyHash), before.tests.map((t) => t.bodyHash));
+    assert.equal(after.hooks.beforeEach[0].id, before.hooks.beforeEach[0].id);
+    assert.notEqual(before.tests[0].id, before.tests[1].id);
+    assert.notEqual(before.tests[0].bodyHash, before.tests[1].bodyHash);
+  });
+
+  it('makes ids relative to the dir of the config file, wherever it is run from', () => {
+    const dir = createFixture({ 'e2e/a.spec.js': SPEC, 'shzm.config.js': 'module.exports = {};\n' });
+    const fromRoot = shzmJSON(dir, 'dump', 'e2e')['e2e/a.spec.js'];
+    const fromSubdir = shzmJSON(path.join(dir, 'e2e'), 'dump', '.', '--config', '../shzm.config.js')['a.spec.js'];
+    assert.deepEqual(fromSubdir.tests.map((t) => t.id), fromRoot.tests.map((t) => t.id));
+    assert.equal(fromSubdir.hooks.beforeEach[0].id, fromRoot.hooks.beforeEach[0].id);
+  });
+
+  it('ignores comments, whitespace and quotes in body hashes', () => {
+    const dir = createFixture({
+      'e2e/a.spec.js': `
+it('a', async () => {
+  await tap('x', { retries: 1 });
+});
+it('b', async () => {
+  // tap it
+  await tap("x", {retries: 1});
+});
+it('c', async () => {
+  await tap('y', { retries: 1 });
+});
+`,
+    });
+    const [a, b, c] = shzmJSON(dir, 'dump', 'e2e')['e2e/a.spec.js'].tests;
+    assert.equal(a.bodyHash, b.bodyHash);
+    assert.notEqual(a.bodyHash, c.bodyHash);
+  });
+
+  it('gives functions an id based on file and exported name', () => {
+    const dir = createFixture({ 'e2e/a.js': 'export async function loginAs() {}\n', 'e2e/b.js': 'export async function loginAs() {}\n' });
+    const dump = shzmJSON(dir, 'dump', 'e2e');
+    const [a, b] = [dump['e2e/a.js'].functions[0], dump['e2e/b.js'].functions[0]];
+    assert.notEqual(a.id, b.id);
+    assert.equal(a.bodyHash, b.bodyHash);
+  });
+
+  it('hashes the body of renamed functions the same', () => {
+    const dir = createFixture({
+      'e2e/helpers.js': `
+export async function alpha() { await tap('a'); }
+export async function gamma() { await tap('a'); }
+export const arrow = async () => { await tap('a'); };
+export async function delta() { await tap('b'); }
+`,
+    });
+    const [alpha, gamma, arrow, delta] = shzmJSON(dir, 'dump', 'e2e')['e2e/helpers.js'].functions;
+    assert.notEqual(alpha.id, gamma.id);
+    assert.equal(alpha.bodyHash, gamma.bodyHash);
+    assert.notEqual(alpha.bodyHash, delta.bodyHash);
+    assert.notEqual(arrow.bodyHash, delta.bodyHash);
+  });
+});
+
+describe('affected', () => {
+  const FILES = {
+    'e2e/helpers.js': `
+export async function typeUser(user) {
+  await element(by.id('user')).typeText(user);
+}
+
+export async function loginAs(user) {
+  await typeUser(user);
+}
+
+export async function openMenu() {
+  await element(by.id('menu')).tap();
+}
+`,
+    'e2e/login.spec.js': `
+import { loginAs } from './helpers';
+
+describe('Login', () => {
+  it('logs in', async () => {
+    await loginAs('alice');
+  });
+});
+`,
+    'e2e/menu.spec.js': `
+import { openMenu } from './helpers';
+
+describe('Menu', () => {
+  beforeEach(async () => {
+    await device.reloadReactNative();
+  });
+
+  it('opens', async () => {
+    await openMenu();
+  });
+
+  it('closes', async () => {
+    await openMenu();
+  });
+});
+`,
+  };
+
+  function edit(dir, filename, search, replacement) {
+    const file = path.join(dir, filename);
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace(search, replacement));
+  }
+
+  it('lists tests that call changed functions, directly or transitively', () => {
+    const dir = createFixture(FILES);
+    commitAll(dir, 'base');
+    edit(dir, 'e2e/helpers.js', "by.id('user')", "by.id('username')");
+
+    assert.equal(shzm(dir, 'affected', 'e2e').stdout, 'e2e/login.spec.js\n');
+    const json = shzmJSON(dir, 'affected', 'e2e', '--output', 'json');
+    assert.deepEqual(json.files, ['e2e/login.spec.js']);
+    assert.deepEqual(json.tests.map((t) => t.name), ['Login logs in']);
+    const pattern = new RegExp(shzm(dir, 'affected', 'e2e', '--output', 'pattern').stdout.trim());
+    assert.ok(pattern.test('Login logs in'));
+    assert.ok(!pattern.test('Menu opens'));
+  });
+
+  it('lists tests affected by changed hooks and tests, against a base revision', () => {
+    const dir = createFixture(FILES);
+    commitAll(dir, 'base');
+    edit(dir, 'e2e/menu.spec.js', 'device.reloadReactNative()', 'device.launchApp()');
+    commitAll(dir, 'head');
+    assert.deepEqual(shzmJSON(dir, 'affected', 'e2e', '--output', 'json').tests, []);
+    assert.deepEqual(shzmJSON(dir, 'affected', 'e2e', '--base', 'HEAD~1', '--output', 'json').tests.map((t) => t.name), ['Menu opens', 'Menu closes']);
+
+    edit(dir, 'e2e/login.spec.js', "loginAs('alice')", "loginAs('bob')");
+    assert.deepEqual(shzmJSON(dir, 'affected', 'e2e', '--output', 'json').tests.map((t) => t.name), ['Login logs in']);
+  });
+
+  it('outputs a pattern that matches no test when nothing is affected', () => {
+    const dir = createFixture(FILES);
+    commitAll(dir, 'base');
+    const { status, stdout } = shzm(dir, 'affected', 'e2e', '--output', 'pattern');
+    assert.equal(status, 0);
+    const pattern = stdout.trim();
+    assert.notEqual(pattern, '');
+    ['', 'Login logs in', 'Menu opens'].forEach((name) => assert.ok(!new RegExp(pattern).test(name), name));
+  });
+
+  it('rejects unsupported output formats', () => {
+    const dir = createFixture(FILES);
+    commitAll(dir, 'base');
+    const { status, stderr } = shzm(dir, 'affected', 'e2e', '--output', 'xml');
+    assert.equal(status, 1);
+    assert.match(stderr, /unsupported output format "xml"/);
+  });
+});
+
+describe('unawaited calls', () => {
+  const FILES = {
+    'e2e/helpers.js': `
+export async function loginAs(user) {
+  await element(by.id(user)).tap();
+}
+
+export function formatUser(user) {
+  return user.toUpperCase();
+}
+`,
+    'e2e/a.spec.js': `
+import { loginAs, formatUser } from './helpers';
+
+it('forgets to await', async () => {
+  loginAs('bob');
+  element(by.id('a')).tap();
+  formatUser('bob');
+  await loginAs('carol');
+  await Promise.all([loginAs('dave'), element(by.id('b')).tap()]);
+  loginAs('erin').then(() => {});
+  const pending = loginAs('frank');
+  await pending;
+});
+
+it('returns', () => {
+  return loginAs('gina');
+});
+`,
+  };
+
+  it('records how the result of each call is used', () => {
+    const dir = createFixture(FILES);
+    const [test, returns] = shzmJSON(dir, 'dump', 'e2e')['e2e/a.spec.js'].tests;
+    const results = Object.fromEntries(test.calls.map((c) => [`${c.name}(${JSON.stringify(c.literalArguments && c.literalArguments[0])})`, c.result]));
+    assert.equal(results['loginAs("bob")'], 'ignored');
+    assert.equal(results['loginAs("carol")'], 'awaited');
+    assert.equal(results['loginAs("dave")'], 'combined');
+    assert.equal(results['loginAs("erin")'], 'chained');
+    assert.equal(results['loginAs("frank")'], 'used');
+    assert.equal(returns.calls[0].result, 'returned');
+  });
+
+  it('reports unawaited calls to async helpers and Detox APIs', () => {
+    const dir = createFixture(FILES);
+    const { status, stdout } = shzm(dir, 'lint', 'e2e');
+    assert.equal(status, 1);
+    const violations = stdout.split('\n').filter((line) => line.endsWith('(no-unawaited-async-calls)'));
+    assert.equal(violations.length, 2, stdout);
+    assert.match(violations[0], /a\.spec\.js:5:3 {2}error/);
+    assert.match(violations[1], /a\.spec\.js:6:23 {2}error/);
+  });
+});
+
+describe('control-flow context', () => {
+  it('records the constructs enclosing each call', () => {
+    const source = `
+it('works', async () => {
+  await launch();
+  if (isIOS()) {
+    await tapIOS();
+  } else {
+    ready ? await tapReady() : null;
+  }
+  for (const item of getItems()) {
+    await tapItem(item);
+  }
+  try {
+    await risky();
+  } catch (e) {
+    await recover();
+  } finally {
+    await cleanup();
+  }
+  items.forEach((item) => {
+    check(item);
+  });
+});
+`;
+    const dir = createFixture({ 'e2e/a.spec.js': source });
+    const [test] = shzmJSON(dir, 'dump', 'e2e')['e2e/a.spec.js'].tests;
+    const contexts = Object.fromEntries(test.calls.map((c) => [
+      c.name,
+      (c.context || []).map(({ type, kind, argumentOf }) => [type, kind || argumentOf].filter(Boolean).join(':')),
+    ]));
+    assert.deepEqual(contexts, {
+      launch: [],
+      isIOS: [],
+      tapIOS: ['conditional:if'],
+      tapReady: ['conditional:if', 'conditional:ternary'],
+      getItems: [],
+      tapItem: ['loop:for-of'],
+      risky: ['try'],
+      recover: ['catch'],
+      cleanup: ['finally'],
+      'items.forEach': [],
+      check: ['function:items.forEach'],
+    });
+
+    const tryContext = test.calls.find((c) => c.name === 'recover').context[0];
+    assert.deepEqual([tryContext.start, tryContext.end], [test.tryStatements[0].start, test.tryStatements[0].end]);
+  });
+});
+
+describe('tags', () => {
+  it('attaches tags from comments right above, inheriting those of parent scopes', () => {
+    const dir = createFixture({
+      'e2e/helpers.js': `
+/**
+ * Logs in.
+ * @owner auth
+ */
+export async function loginAs(user) {}
+`,
+      'e2e/a.spec.js': `
+/** @owner payments @smoke */
+describe('Checkout', () => {
+  // @flaky
+  beforeEach(async () => {});
+
+  // @jira QW-123
+  it('pays by card', async () => {});
+
+  // @ignored because of the blank line
+
+  it('pays by cash', async () => {}); // @ignored at the end of a line
+});
+`,
+    });
+    const dump = shzmJSON(dir, 'dump', 'e2e');
+    const { tests, hooks } = dump['e2e/a.spec.js'];
+    assert.deepEqual(tests.map((t) => t.tags), [
+      [{ name: 'owner', value: 'payments' }, { name: 'smoke' }, { name: 'jira', value: 'QW-123' }],
+      [{ name: 'owner', value: 'payments' }, { name: 'smoke' }],
+    ]);
+    assert.deepEqual(tests[0].scope.map((s) => s.tags), [[{ name: 'owner', value: 'payments' }, { name: 'smoke' }], [{ name: 'jira', value: 'QW-123' }]]);
+    assert.deepEqual(hooks.beforeEach[0].tags, [{ name: 'owner', value: 'payments' }, { name: 'smoke' }, { name: 'flaky' }]);
+    assert.deepEqual(dump['e2e/helpers.js'].functions[0].tags, [{ name: 'owner', value: 'auth' }]);
+  });
+});
+
+describe('select', () => {
+  const FILES = {
+    'e2e/checkout.spec.js': `
+/** @owner payments */
+describe('Checkout', () => {
+  // @smoke
+  it('pays by card (visa)', async () => {});
+
+  // @smoke @flaky
+  it.ios('pays with Apple Pay', async () => {});
+
+  it.android('pays with Google Pay', async () => {});
+
+  // @smoke
+  it.skip('pays by cash', async () => {});
+});
+`,
+    'e2e/login.spec.js': `
+describe('Login', () => {
+  it.each(['alice', 'bob'])('logs in as %s', async () => {});
+});
+`,
+  };
+
+  it('filters tests by tag, platform and skip', () => {
+    const dir = createFixture(FILES);
+    const names = (...args) => shzm(dir, 'select', 'e2e', ...args, '--output', 'names').stdout.trim().split('\n');
+    assert.deepEqual(names('--tag', 'smoke'), ['Checkout pays by card (visa)', 'Checkout pays with Apple Pay', 'Checkout pays by cash']);
+    assert.deepEqual(names('--tag', 'smoke', '--platform', 'android', '--exclude-skipped'), ['Checkout pays by card (visa)']);
+    assert.deepEqual(names('--tag', 'owner=payments', '--exclude-tag', 'flaky', '--exclude-tag', 'smoke'), ['Checkout pays with Google Pay']);
+    assert.equal(shzm(dir, 'select', 'e2e', '--tag', 'smoke').stdout, 'e2e/checkout.spec.js\n');
+  });
+
+  it('matches names of parametrised tests and escapes them in patterns', () => {
+    const dir = createFixture(FILES);
+    const { files, tests, testNamePattern } = shzmJSON(dir, 'select', 'e2e', '--name', 'bob$|visa', '--output', 'json');
+    assert.deepEqual(files, ['e2e/checkout.spec.js', 'e2e/login.spec.js']);
+    assert.deepEqual(tests.map((t) => t.names), [['Checkout pays by card (visa)'], ['Login logs in as bob']]);
+    const pattern = new RegExp(testNamePattern);
+    assert.ok(pattern.test('Checkout pays by card (visa)'));
+    assert.ok(pattern.test('Login logs in as bob'));
+    assert.ok(!pattern.test('Login logs in as alice'));
+  });
+
+  it('outputs a pattern that matches no test when none is selected', () => {
+    const dir = createFixture(FILES);
+    const { status, stdout } = shzm(dir, 'select', 'e2e', '--name', 'no such test', '--output', 'pattern');
+    assert.equal(status, 0);
+    assert.equal(stdout.trim(), '^(?!)$');
+  });
+});
+
+describe('check', () => {
+  const SPEC = `
+describe.only('Checkout', () => {
+  it('pays by card', async () => {});
+  it.skip('pays by cash', async () => {});
+});
+
+describe.skip('Legacy', () => {
+  it('logs in', async () => {});
+});
+`;
+
+  it('passes when there is nothing to report', () => {
+    const dir = createFixture({ 'e2e/a.spec.js': `it('works', async () => {});\n` });
+    const { status, stdout } = shzm(dir, 'check', 'e2e', '--forbid-only', '--max-skipped', '0');
+    assert.equal(status, 0, stdout);
+  });
+
+  it('reports focused tests once per .only', () => {
+    const dir = createFixture({ 'e2e/a.spec.js': SPEC });
+    const { status, stdout } = shzm(dir, 'check', 'e2e', '--forbid-only');
+    assert.equal(status, 1);
+    const violations = stdout.split('\n').filter((line) => line.endsWith('(forbid-only)'));
+    assert.equal(violations.length, 1, stdout);
+    assert.match(violations[0], /a\.spec\.js:2:1 {2}error {2}Focused describe\.only\("Checkout"\)/);
+  });
+
+  it('reports every skipped test when there are too many', () => {
+    const dir = createFixture({ 'e2e/a.spec.js': SPEC });
+    assert.equal(shzm(dir, 'check', 'e2e', '--max-skipped', '2').status, 0);
+    const { status, stdout } = shzm(dir, 'check', 'e2e', '--max-skipped', '1');
+    assert.equal(status, 1);
+    assert.equal(stdout.split('\n').filter((line) => /2 skipped tests, at most 1 allowed\)  \(max-skipped\)$/.test(line)).length, 2, stdout);
+  });
+
+  it('requires skipped tests to be allowlisted until the entry expires', () => {
+    const dir = createFixture({
+      'e2e/a.spec.js': SPEC,
+      'allowlist.json': JSON.stringify([
+        { file: 'e2e/a.spec.js', name: 'Checkout pays by cash', expires: '2000-01-01' },
+        { file: 'e2e/a.spec.js', name: 'Legacy', expires: '2999-12-31', reason: 'QW-123' },
+      ]),
+    });
+    const { status, stdout } = shzm(dir, 'check', 'e2e', '--allowlist', 'allowlist.json');
+    assert.equal(status, 1);
+    const violations = stdout.split('\n').filter((line) => line.endsWith('(allowlist)'));
+    assert.equal(violations.length, 1, stdout);
+    assert.match(violations[0], /Skip of test "Checkout pays by cash" expired on 2000-01-01/);
+  });
+
+  it('rejects invalid allowlists', () => {
+    const dir = createFixture({ 'e2e/a.spec.js': SPEC, 'allowlist.json': JSON.stringify([{ file: 'e2e/a.spec.js', name: 'x', expires: 'soon' }]) });
+    const { status, stderr } = shzm(dir, 'check', 'e2e', '--allowlist', 'allowlist.json');
+    assert.equal(status, 1);
+    assert.match(stderr, /invalid entry #1 in allowlist "allowlist\.json"/);
+  });
+});
+
+describe('modifiers', () => {
+  const SPEC = `
+describe.flaky('Checkout', () => {
+  beforeEach(async () => {});
+  it.tablet('pays on tablet', async () => {});
+  it.focus('pays by card', async () => {});
+  it.android('pays with Google Pay', async () => {});
+});
+`;
+  const CONFIG = `
+module.exports = {
+  modifiers: {
+    tablet: { flag: 'tabletOnly', platform: 'tablet' },
+    flaky: { flag: 'flaky' },
+    focus: { flag: 'focused', inherited: false },
+    android: false,
+  },
+};
+`;
+
+  it('sets flags of custom modifiers on scopes, and on tests and hooks within if inherited', () => {
+    const dir = createFixture({ 'e2e/a.spec.js': SPEC, 'shzm.config.js': CONFIG });
+    const { tests, hooks } = shzmJSON(dir, 'dump', 'e2e')['e2e/a.spec.js'];
+    const flags = ({ flaky, tabletOnly, focused, androidOnly }) => ({ flaky, tabletOnly, focused, androidOnly });
+    assert.deepEqual(tests.map(flags), [
+      { flaky: true, tabletOnly: true, focused: undefined, androidOnly: undefined },
+      { flaky: true, tabletOnly: undefined, focused: true, androidOnly: undefined },
+      { flaky: true, tabletOnly: undefined, focused: undefined, androidOnly: undefined },
+    ]);
+    assert.equal(tests[1].scope[0].focused, undefined);
+    assert.equal(tests[1].scope[1].focused, true);
+    assert.equal(hooks.beforeEach[0].flaky, true);
+  });
+
+  it('selects tests by custom platform', () => {
+    const dir = createFixture({ 'e2e/a.spec.js': SPEC, 'shzm.config.js': CONFIG });
+    const names = shzm(dir, 'select', 'e2e', '--platform', 'ios', '--output', 'names').stdout.trim().split('\n');
+    assert.deepEqual(names, ['Checkout pays by card', 'Checkout pays with Google Pay']);
+  });
+
+  it('rejects modifiers that change Jest modifiers or use reserved flags', () => {
+    [
+      [`{ skip: { flag: 'skipped' } }`, /modifier "skip" is built into Jest and cannot be changed/],
+      [`{ tablet: { flag: 'name' } }`, /modifier "tablet" cannot use reserved flag "name"/],
+      [`{ tablet: { flag: 'only' } }`, /modifier "tablet" cannot use reserved flag "only"/],
+      [`{ tablet: { flag: 'elements' } }`, /modifier "tablet" cannot use reserved flag "elements"/],
+      [`{ tablet: { flag: 'default' } }`, /modifier "tablet" cannot use reserved flag "default"/],
+      [`{ tablet: { flag: 'tabletOnly', inherited: 'yes' } }`, /invalid modifier "tablet"/],
+      [`{ ios: { flag: 'iosOnly', inherited: false } }`, /set the same flag "iosOnly", so should both be inherited or not/],
+    ].forEach(([modifiers, error]) => {
+      const dir = createFixture({ 'e2e/a.spec.js': SPEC, 'shzm.config.js': `module.exports = { modifiers: ${modifiers} };\n` });
+      const { status, stderr } = shzm(dir, 'dump', 'e2e');
+      assert.equal(status, 1);
+      assert.match(stderr, error);
+    });
+  });
+});
+
+describe('TypeScript and JSX', () => {
+  it('parses TypeScript and JSX, keeping offsets into the original source', () => {
+    const helpers = `
+interface User { name: string }
+
+export class LoginScreen {
+  login = async (user: User): Promise<void> => {
+    await element(by.id(user.name as string)).tap();
+  };
+}
+
+export async function loginAs(user: User) {
+  await new LoginScreen().login(user);
+}
+`;
+    const dir = createFixture({
+      'e2e/helpers.ts': helpers,
+      'e2e/Banner.jsx': `export function renderBanner(props) {\n  return <Banner {...props} title={props?.title ?? 'x'} />;\n}\n`,
+      'e2e/login.spec.ts': `
+import { loginAs } from './helpers';
+
+describe('Login', () => {
+  it('works', async () => {
+    await loginAs({ name: 'alice' } satisfies object);
+  });
+});
+`,
+    });
+    const dump = shzmJSON(dir, 'dump', 'e2e');
+    assert.deepEqual(Object.keys(dump).sort(), ['e2e/Banner.jsx', 'e2e/helpers.ts', 'e2e/login.spec.ts']);
+    const loginAs = dump['e2e/helpers.ts'].functions[0];
+    assert.ok(helpers.slice(loginAs.start, loginAs.end).startsWith('export async function loginAs(user: User)'));
+    assert.deepEqual(dump['e2e/helpers.ts'].classes[0].methods.map(({ name, kind }) => [name, kind]), [['login', 'field']]);
+    assert.equal(dump['e2e/Banner.jsx'].functions[0].name, 'renderBanner');
+    assert.deepEqual(dump['e2e/login.spec.ts'].tests[0].calls[0].resolved, { filename: 'e2e/helpers.ts', name: 'loginAs' });
+  });
+
+  it('reports TypeScript constructs that generate code as parse limitations', () => {
+    const dir = createFixture({ 'e2e/a.ts': `export enum Role { Admin }\n` });
+    const { status, stdout } = shzm(dir, 'dump', 'e2e', '--keep-going');
+    assert.equal(status, 1);
+    const [error] = JSON.parse(stdout)['e2e/a.ts'].errors;
+    assert.equal(error.type, 'parse-limitation');
+    assert.equal(error.message, 'No support for TypeScript enums');
+  });
+
+  it('supports parameter properties', async () => {
+    const source = `
+export class LoginScreen extends Screen {
+  constructor(private readonly timeout: number, public name = 'login') {
+    super();
+  }
+
+  async login() {
+    await waitFor(element(by.id(this.name))).toBeVisible().withTimeout(this.timeout);
+  }
+}
+`;
+    const { classes } = await analyzeSource(source, 'LoginScreen.ts');
+    const [constructor, login] = classes[0].methods;
+    assert.equal(source.slice(constructor.start, constructor.start + 11), 'constructor');
+    assert.deepEqual(login.elements.map(({ by, usage, name }) => [by, usage, name]), [['id', 'wait', 'toBeVisible']]);
+  });
+
+  it('finds calls within JSX without extending the shared acorn-walk base', async () => {
+    const source = `export function renderBanner() {\n  return <Banner onPress={() => dismiss()} />;\n}\n`;
+    const { functions } = await analyzeSource(source, 'Banner.jsx');
+    assert.deepEqual(functions[0].calls.map(({ name }) => name), ['dismiss']);
+    assert.equal(require('acorn-walk').base.JSXElement, undefined);
+  });
+
+  it('picks test and source files by the extensions in the config file', () => {
+    const dir = createFixture({
+      'e2e/login.e2e.ts': `it('works', async () => {});\n`,
+      'e2e/helpers.ts': 'export async function loginAs() {}\n',
+      'e2e/legacy.spec.js': `it('is not picked', async () => {});\n`,
+      'shzm.config.js': `module.exports = { testExtensions: ['.e2e.ts'], sourceExtensions: ['.ts'] };\n`,
+    });
+    assert.deepEqual(Object.keys(shzmJSON(dir, 'tests', 'e2e')), ['e2e/login.e2e.ts']);
+    assert.deepEqual(Object.keys(shzmJSON(dir, 'dump', 'e2e')).sort(), ['e2e/helpers.ts', 'e2e/login.e2e.ts']);
+  });
+});
+
+describe('cache and worker threads', () => {
+  const FILES = {
+    'e2e/constants.js': `export const USER = 'alice';\n`,
+    'e2e/helpers.js': `export async function loginAs(user) {\n  await element(by.id(user)).tap();\n}\n`,
+    'e2e/login.spec.js': `
+import { USER } from './constants';
+import { loginAs } from './helpers';
+it(\`logs in as \${USER}\`, async () => {
+  await loginAs(USER);
+});
+`,
+    'e2e/other.spec.js': `it('works', async () => {});\n`,
+  };
+
+  it('outputs the same with the cache, cold and warm, and with worker threads', () => {
+    const dir = createFixture(FILES);
+    const expected = shzm(dir, 'dump', 'e2e').stdout;
+    [
+      ['--cache'],
+      ['--cache'],
+      ['--jobs', '2'],
+      ['--jobs', '2', '--cache', '--cache-location', 'elsewhere'],
+      ['--jobs', '2', '--cache', '--cache-location', 'elsewhere'],
+    ].forEach((options) => {
+      const { status, stdout, stderr } = shzm(dir, 'dump', 'e2e', ...options);
+      assert.equal(status, 0, stderr);
+      assert.equal(stdout, expected, `with ${options.join(' ')}`);
+    });
+    assert.ok(fs.existsSync(path.join(dir, '.shzm-cache')));
+    assert.ok(fs.existsSync(path.join(dir, 'elsewhere')));
+  });
+
+  it('finds the references that prune keeps functions for with the cache and with worker threads', () => {
+    const dir = createFixture({
+      'e2e/helpers.js': `export async function loginAs() {}\n\nexport async function logout() {}\n\nexport async function unused() {}\n`,
+      'e2e/login.spec.js': `import { loginAs } from './helpers';\nit('works', async () => {\n  await retry(loginAs);\n});\n`,
+      'e2e/logout.spec.js': `import * as helpers from './helpers';\nconst steps = [helpers.logout];\nit('works', async () => {});\n`,
+    });
+    const expected = shzm(dir, 'prune', 'e2e').stdout;
+    assert.match(expected, /Function "unused" is not used\n\n1 unused function\(s\) found/);
+    [['--cache'], ['--cache'], ['--jobs', '2'], ['--jobs', '2', '--cache']].forEach((options) => {
+      const { status, stdout, stderr } = shzm(dir, 'prune', 'e2e', ...options);
+      assert.equal(status, 0, stderr);
+      assert.equal(stdout, expected, `with ${options.join(' ')}`);
+    });
+  });
+
+  it('parses files again when they or the constants they import change', () => {
+    const dir = createFixture(FILES);
+    const testName = () => shzmJSON(dir, 'tests', 'e2e', '--cache')['e2e/login.spec.js'].tests[0].scope[0].name;
+    assert.equal(testName(), 'logs in as alice');
+    fs.writeFileSync(path.join(dir, 'e2e/constants.js'), `export const USER = 'bob';\n`);
+    assert.equal(testName(), 'logs in as bob');
+    fs.writeFileSync(path.join(dir, 'e2e/login.spec.js'), `it('was renamed', async () => {});\n`);
+    assert.equal(testName(), 'was renamed');
+  });
+
+  it('has the same cache, jobs, config and keep-going options for every command that parses files', () => {
+    const dir = createFixture({});
+    ['tests', 'functions', 'dump', 'graph', 'prune', 'lint', 'affected', 'select', 'check', 'ids'].forEach((command) => {
+      const { stdout } = shzm(dir, command, '--help');
+      ['--cache ', '--cache-location <path>', '-j, --jobs <count>', '-c, --config <path>'].forEach((option) => {
+        assert.ok(stdout.includes(option), `${command} ${option}`);
+      });
+      assert.equal(stdout.includes('--keep-going'), !['prune', 'affected'].includes(command), command);
+    });
+  });
+
+  it('rejects invalid job counts', () => {
+    const dir = createFixture(FILES);
+    const { status } = shzm(dir, 'dump', 'e2e', '--jobs', 'many');
+    assert.equal(status, 1);
+  });
+});
+
+describe('dump --watch', () => {
+  /**
+   * Starts "dump --watch" in the given dir, and returns { nextEvent, stop }, where nextEvent(type) resolves with the
+   * next event of that type, skipping any others.
+   */
+  function watch(dir, ...args) {
+    const child = spawn(process.execPath, [CLI, 'dump', ...args, '--watch'], { cwd: dir, stdio: ['ignore', 'pipe', 'pipe'] });
+    const events = [];
+    const waiting = [];
+    let buffer = '';
+    let stderr = '';
+    const flush = () => {
+      while (waiting.length > 0) {
+        const index = events.findIndex((e) => e.event === waiting[0].type);
+        if (index === -1) {
+          return;
+        }
+        const { resolve, timer } = waiting.shift();
+        clearTimeout(timer);
+        resolve(events.splice(0, index + 1).pop());
+      }
+    };
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.stdout.on('data', (data) => {
+      buffer += data;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      events.push(...lines.filter(Boolean).map((line) => JSON.parse(line)));
+      flush();
+    });
+    return {
+      nextEvent(type) {
+        return new Promise((resolve, reject) => {
+          const timer = setTimeout(() => reject(new Error(`no "${type}" event within 20s. stderr: ${stderr}`)), 20000);
+          waiting.push({ type, resolve, timer });
+          flush();
+        });
+      },
+      stop() {
+        child.kill();
+      },
+    };
+  }
+
+  it('outputs events as files change', async () => {
+    const dir = createFixture({ 'e2e/a.spec.js': `it('works', async () => {});\n` });
+    const watcher = watch(dir, 'e2e');
+    try {
+      const ready = await watcher.nextEvent('ready');
+      assert.deepEqual(Object.keys(ready.files), ['e2e/a.spec.js']);
+      await new Promise((resolve) => setTimeout(resolve, 500));  // recursive fs.watch() starts asynchronously on Linux
+
+      fs.writeFileSync(path.join(dir, 'e2e/a.spec.js'), `it('works', async () => {});\nit('is new', async () => {});\n`);
+      const changed = await watcher.nextEvent('fileChanged');
+      assert.equal(changed.file.tests.length, 2);
+      const added = await watcher.nextEvent('testAdded');
+      assert.deepEqual([added.filename, added.name], ['e2e/a.spec.js', 'is new']);
+
+      fs.writeFileSync(path.join(dir, 'e2e/a.spec.js'), `it('works', async () => {\n`);
+      const parseError = await watcher.nextEvent('parseError');
+      assert.equal(parseError.errors[0].type, 'syntax');
+
+      fs.rmSync(path.join(dir, 'e2e/a.spec.js'));
+      const removed = await watcher.nextEvent('fileRemoved');
+      assert.equal(removed.filename, 'e2e/a.spec.js');
+    } finally {
+      watcher.stop();
+    }
+  });
+});
+
+describe('Node API', () => {
+  const FILES = {
+    'e2e/helpers.js': `export async function loginAs(user) {\n  await element(by.id(user)).tap();\n}\n`,
+    'e2e/login.spec.js': `
+import { loginAs } from './helpers';
+describe('Login', () => {
+  it.tablet('works', async () => {
+    await loginAs('alice');
+  });
+});
+`,
+  };
+
+  it('analyze() resolves to the same as "shzm dump"', async () => {
+    const dir = createFixture(FILES);
+    const dump = await analyze([path.join(dir, 'e2e')], { locations: true, hookChain: true });
+    const { stdout } = shzm(process.cwd(), 'dump', path.join(dir, 'e2e'), '--locations', '--hook-chain');
+    assert.deepEqual(JSON.parse(stdout), dump);
+  });
+
+  it('analyzeSource() analyses a single file, resolving imports from its filename', async () => {
+    const dir = createFixture(FILES);
+    const file = await analyzeSource(FILES['e2e/login.spec.js'], path.join(dir, 'e2e/login.spec.js'), {
+      config: { modifiers: { tablet: { flag: 'tabletOnly' } } },
+    });
+    assert.equal(file.tests[0].tabletOnly, true);
+    assert.deepEqual(file.tests[0].calls[0].resolved, { filename: path.join(dir, 'e2e/helpers.js'), name: 'loginAs' });
+
+    const ts = await analyzeSource('export async function typed(user: string): Promise<void> {}\n', 'helpers.ts');
+    assert.equal(ts.functions[0].name, 'typed');
+  });
+
+  it('analyzeSource() adds locations within the source given, rather than the file on disk', async () => {
+    const dir = createFixture({ 'e2e/login.spec.js': `it('was saved', async () => {});\n` });
+    const file = await analyzeSource(`\n\nit('is not saved yet', async () => {});\n`, path.join(dir, 'e2e/login.spec.js'), {
+      locations: true,
+    });
+    assert.deepEqual(file.tests[0].locations.start, { line: 3, col: 1 });
+  });
+
+  it('always sets "await" on calls, as typed', async () => {
+    const { tests } = await analyzeSource(`it('works', async () => {\n  await a();\n  b();\n});\n`, 'a.spec.js');
+    assert.deepEqual(tests[0].calls.map((c) => [c.name, c.await]), [['a', true], ['b', false]]);
+  });
+
+  it('throws errors instead of exiting', async () => {
+    const dir = createFixture({ 'e2e/broken.spec.js': `describe('A', () => {\n` });
+    await assert.rejects(analyze([path.join(dir, 'e2e')]), (e) => {
+      assert.ok(e instanceof FileParseError);
+      assert.equal(e.filename, path.join(dir, 'e2e/broken.spec.js'));
+      assert.equal(e.error.type, 'syntax');
+      return true;
+    });
+    const dump = await analyze([path.join(dir, 'e2e')], { keepGoing: true });
+    assert.equal(dump[path.join(dir, 'e2e/broken.spec.js')].errors[0].type, 'syntax');
+
+    await assert.rejects(analyze([path.join(dir, 'missing')]), InputError);
+    const valid = createFixture(FILES);
+    await assert.rejects(analyze([path.join(valid, 'e2e')], { config: { modifiers: [] } }), ConfigError);
+  });
+});
+
+describe('Detox elements', () => {
+  const FILES = {
+    'e2e/helpers.js': `
+export async function scrollToRow(id) {
+  await waitFor(element(by.id(id))).toBeVisible().whileElement(by.id('list')).scroll(50, 'down');
+}
+`,
+    'e2e/a.spec.js': `
+import { scrollToRow } from './helpers';
+const LOGIN = 'login';
+
+it('works', async () => {
+  await element(by.id(LOGIN)).atIndex(0).tap();
+  await expect(element(by.text('Hi'))).not.toExist();
+  await expect(element(by.id('row').withAncestor(by.id('list')))).toBeVisible();
+  await scrollToRow('row');
+});
+`,
+  };
+
+  it('records the elements matched by tests and helpers, and what is done with them', () => {
+    const dir = createFixture(FILES);
+    const dump = shzmJSON(dir, 'dump', 'e2e');
+    const summarise = ({ by, value, unresolved, usage, name, not, index, withAncestor }) => ({ by, value, unresolved, usage, name, not, index, withAncestor });
+    assert.deepEqual(dump['e2e/a.spec.js'].tests[0].elements.map(summarise), [
+      { by: 'id', value: 'login', unresolved: undefined, usage: 'action', name: 'tap', not: undefined, index: 0, withAncestor: undefined },
+      { by: 'text', value: 'Hi', unresolved: undefined, usage: 'assertion', name: 'toExist', not: true, index: undefined, withAncestor: undefined },
+      { by: 'id', value: 'row', unresolved: undefined, usage: 'assertion', name: 'toBeVisible', not: undefined, index: undefined, withAncestor: { by: 'id', value: 'list' } },
+    ]);
+    assert.deepEqual(dump['e2e/helpers.js'].functions[0].elements.map(summarise), [
+      { by: 'id', value: undefined, unresolved: true, usage: 'wait', name: 'toBeVisible', not: undefined, index: undefined, withAncestor: undefined },
+      { by: 'id', value: 'list', unresolved: undefined, usage: 'action', name: 'scroll', not: undefined, index: undefined, withAncestor: undefined },
+    ]);
+  });
+
+  it('lists testIDs, and compares them against those of the app', () => {
+    const dir = createFixture({ ...FILES, 'app-ids.txt': '# exported from the app\nlogin\nlist\n\nsettings\n' });
+    assert.equal(shzm(dir, 'ids', 'e2e').stdout, 'list\nlogin\nrow\n');
+
+    const json = shzmJSON(dir, 'ids', 'e2e', '--output', 'json');
+    assert.deepEqual(json.ids.find((i) => i.id === 'login').usages.map(({ filename, usage, name }) => [filename, usage, name]), [['e2e/a.spec.js', 'action', 'tap']]);
+    assert.deepEqual(json.unresolved.map((u) => u.filename), ['e2e/helpers.js']);
+
+    const { status, stdout } = shzm(dir, 'ids', 'e2e', '--compare', 'app-ids.txt', '--output', 'json');
+    assert.equal(status, 1);
+    const { missing, unused } = JSON.parse(stdout);
+    assert.deepEqual([missing, unused], [['row'], ['settings']]);
+  });
+});
@@ -1,4 +1,5 @@
 const fs = require("fs");
+const path = require("path");
 const assert = require('assert').strict;
 
 /**
@@ -10,26 +11,49 @@ const assert = require('assert').strict;
 function mapCharOffsetToLineno(filename, offset, cacheMode="recent") {
   const info = getCachedFileLineInfo(filename);
   assert(offset <= info.size, "offset exceeds file size");
+  return info.lookup(offset);
+}
 
-  let runningSum = 0;
-  for (let i = 0; i < info.lineLengths.length; i++) {
-    let currentLineLength = info.lineLengths[i];
-    if (runningSum + currentLineLength > offset) {
-      return {
-        line: i + 1,
-        col: offset - runningSum + 1,
-      }
-    } else {
-      runningSum += currentLineLength;
-    }
+/**
+ * Returns the char offset at which each line of content starts, e.g. to be passed to createLineIndex() later on
+ * without keeping the content itself around.
+ */
+function getLineStarts(content) {
+  const lineStarts = [0];
+  for (let i = content.indexOf("\n"); i !== -1; i = content.indexOf("\n", i + 1)) {
+    lineStarts.push(i + 1);
   }
+  return lineStarts;
 }
 
+/**
+ * Returns function that maps char offsets within content to {line: X, col: Y}, both starting from 1, given the line
+ * starts of the content as returned by getLineStarts(). Offsets are looked up with a binary search over those, so
+ * this is cheap to call for many offsets.
+ */
+function createLineIndex(lineStarts) {
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return {
+      line: low + 1,
+      col: offset - lineStarts[low] + 1,
+    }
+  };
+}
 
 /**
  * Synchronously reads file content, then returns object with:
  *  - size: total chars in file
- *  - lineLengths: Array of ints representing number of chars per file line (including trailing linefeed)
+ *  - lookup: function mapping char offsets to {line, col}, as returned by createLineIndex()
  *
  * It is the caller's responsibility to ensure that the file exists and is readable.
  */
@@ -37,7 +61,7 @@ function getFileLineInfo(filename) {
   let content = fs.readFileSync(filename, { encoding: "utf8", flag: 'r' });
   return {
     size: content.length,
-    lineLengths: content.split("\n").map((line) => line.length + 1),  // +1 to account for stripped "\n"
+    lookup: createLineIndex(getLineStarts(content)),
   }
 }
 
@@ -46,8 +70,6 @@ let _fileLineInfoCache = {};
 /**
  * Since the usual access pattern is such that calls for the same filename are grouped together, we strike a balance
  * between performance and memory usage by only caching the most recently used filename.
- *
- * If the
  */
 function getCachedFileLineInfo(filename) {
   if (filename !== _fileLineInfoCache.filename) {
@@ -59,6 +81,50 @@ function getCachedFileLineInfo(filename) {
   return _fileLineInfoCache.info;
 }
 
+// Attributes of output objects that hold char offsets
+const OFFSET_KEYS = ['start', 'end', 'rootStart', 'funcStart', 'funcEnd', 'exportStart', 'exportEnd', 'loc'];
+// Attributes that hold values taken from the parsed code (or already have line/col), so should be left untouched
+const NON_OUTPUT_KEYS = new Set(['literalArguments', 'table', 'names', 'errors', 'value']);
+
+/**
+ * Adds a "locations" attribute to every object in the output of "shzm dump" (or "shzm tests"/"shzm functions") that
+ * has char offsets, mapping each offset attribute to {line, col}, e.g.
+ *   { "start": 10, "end": 42, "locations": { "start": { "line": 2, "col": 1 }, "end": { "line": 4, "col": 3 } } }
+ *
+ * getLineIndex(filename) returns the function mapping offsets of that file to {line, col}, as returned by
+ * createLineIndex(). Files that could not be parsed (i.e. with "errors") are left as is.
+ */
+function addLocations(dump, getLineIndex) {
+  Object.entries(dump).forEach(([filename, fileDump]) => {
+    if (fileDump && !fileDump.errors) {
+      const lookup = getLineIndex(filename);
+      Object.values(fileDump).forEach((value) => addLocationsToValue(value, lookup));
+    }
+  });
+  return dump;
+}
+
+function addLocationsToValue(value, lookup) {
+  if (Array.isArray(value)) {
+    value.forEach((v) => addLocationsToValue(v, lookup));
+  } else if (value !== null && typeof value === 'object') {
+    const locations = {};
+    OFFSET_KEYS.forEach((key) => {
+      if (typeof value[key] === 'number') {
+        locations[key] = lookup(value[key]);
+      }
+    });
+    Object.entries(value).forEach(([key, v]) => {
+      if (!NON_OUTPUT_KEYS.has(key)) {
+        addLocationsToValue(v, lookup);
+      }
+    });
+    if (Object.keys(locations).length > 0) {
+      value.locations = locations;
+    }
+  }
+}
+
 /**
  * [a1, a2, a3], [b1, b2] => [a1, b1, a2, b2, a3]
  */
@@ -77,8 +143,79 @@ function formatMatchLocation(match) {
   return `${path.resolve(match.filename)}:${loc.line}:${loc.col}`;
 }
 
+/**
+ * Calls callback(func, filename) for every FunctionObj in the output of "shzm dump", or in files returned by
+ * linkCalls(), which are null for files that could not be loaded.
+ */
+function forEachFunction(dump, callback) {
+  Object.entries(dump).filter(([, fileDump]) => fileDump).forEach(([filename, fileDump]) => {
+    (fileDump.functions || []).forEach((func) => callback(func, filename));
+  });
+}
+
+/**
+ * Calls callback(obj, filename, classObj) for every TestObj, HookObj, FunctionObj and MethodObj in the output of
+ * "shzm dump", i.e. everything that has "calls". classObj is only set for MethodObj. As with forEachFunction(), null
+ * entries are skipped.
+ */
+function forEachCaller(dump, callback) {
+  Object.entries(dump).filter(([, fileDump]) => fileDump).forEach(([filename, fileDump]) => {
+    (fileDump.functions || []).forEach((func) => callback(func, filename));
+    (fileDump.classes || []).forEach((cls) => {
+      cls.methods.forEach((method) => callback(method, filename, cls));
+    });
+    (fileDump.tests || []).forEach((test) => callback(test, filename));
+    Object.values(fileDump.hooks || {}).forEach((hooks) => {
+      hooks.forEach((hook) => callback(hook, filename));
+    });
+  });
+}
+
+/**
+ * Returns name of test prefixed with the names of all parent describe() blocks, as reported by Jest.
+ */
+function getFullTestName(test) {
+  return test.scope.map((s) => s.name).join(' ');
+}
+
+// Jest --testNamePattern that no test name matches
+const NO_TESTS_PATTERN = '^(?!)$';
+
+/**
+ * Returns regex for Jest's --testNamePattern that matches exactly the given tests, e.g. "^(?:Login works|Login fails)$".
+ * Parts of test names that are not known statically (e.g. unresolved "${...}" expressions, or placeholders of
+ * parametrised tests whose names could not be expanded) match anything.
+ *
+ * If there are no tests, returns a pattern that matches nothing, since an empty --testNamePattern runs every test.
+ */
+function formatTestNamePattern(tests) {
+  const patterns = Array.from(new Set(tests.map((test) => {
+    return test.scope.map((scope) => {
+      if (scope.names) {
+        return `(?:${Array.from(new Set(scope.names)).map(escapeRegExp).join('|')})`;
+      }
+      const pattern = escapeRegExp(scope.name).replace(/\\\$\\\{[^}]*\\\}/g, '.*');  // unresolved ${...}
+      // Placeholders of parametrised tests, e.g. "%s" or "$variable"
+      return scope.each ? pattern.replace(/%[sdifjoOp#]|\\\$[\w#]+(?:\\\.[\w$]+)*/g, '.*') : pattern;
+    }).join(' ');
+  })));
+  return patterns.length > 0 ? `^(?:${patterns.join('|')})$` : NO_TESTS_PATTERN;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 module.exports = {
   interleaveArray,
   mapCharOffsetToLineno,
-  formatMatchLocation
-}
\ No newline at end of file
+  getLineStarts,
+  createLineIndex,
+  addLocations,
+  formatMatchLocation,
+  forEachFunction,
+  forEachCaller,
+  getFullTestName,
+  formatTestNamePattern,
+  escapeRegExp,
+}
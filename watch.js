@@ -0,0 +1,155 @@
+const path = require('path');
+const fs = require('fs');
+const { resolveModulePath } = require('./graph');
+const { getFullTestName } = require('./utils');
+
+// How long to wait for more changes before handling them, since editors often write a file in several steps
+const DEBOUNCE_MS = 100;
+
+/**
+ * Watches the given files and dirs (recursively) with fs.watch(), and calls onChange(filenames) with the files that
+ * changed, were added or were removed, after changes settle down. Calls never overlap: changes made while onChange()
+ * runs are passed to the next call. "filenames" is empty if fs.watch() did not say which file changed. Errors thrown
+ * by onChange() are fatal, other than files not found, e.g. a file that was removed while being read.
+ *
+ * Returns a function that stops watching.
+ */
+function watchPaths(paths, onChange) {
+  let pending = null;  // Set of filenames, or null if there are no pending changes
+  let timer = null;
+  let running = Promise.resolve();
+
+  function flush() {
+    const filenames = Array.from(pending).sort();
+    pending = null;
+    running = running.then(() => onChange(filenames)).catch((e) => {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+      // A file was removed while being read, so try again once changes settle down
+      schedule(null);
+      filenames.forEach(schedule);
+    });
+  }
+
+  function schedule(filename) {
+    pending = pending || new Set();
+    if (filename) {
+      pending.add(filename);
+    }
+    clearTimeout(timer);
+    timer = setTimeout(flush, DEBOUNCE_MS);
+  }
+
+  const watchers = new Map();  // watched file or dir => FSWatcher
+  Array.from(new Set(paths)).forEach((p) => {
+    if (!fs.statSync(p).isDirectory()) {
+      watchers.set(p, fs.watch(p, () => schedule(p)));
+      return;
+    }
+    try {
+      watchers.set(p, fs.watch(p, { recursive: true }, (_, filename) => {
+        schedule(filename && path.join(p, filename.toString()));
+      }));
+    } catch (e) {
+      if (e.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw e;
+      }
+      // Recursive watching is only supported on Linux from Node.js 20, so watch each dir on its own instead
+      watchDirTree(p);
+    }
+  });
+
+  function watchDirTree(dir) {
+    if (watchers.has(dir)) {
+      return;
+    }
+    const watcher = fs.watch(dir, (_, filename) => {
+      const changed = filename && path.join(dir, filename.toString());
+      schedule(changed);
+      if (!changed) {
+        return;
+      }
+      if (!fs.existsSync(changed)) {
+        unwatchDirTree(changed);  // removed, or moved out
+      } else if (fs.statSync(changed).isDirectory()) {
+        watchDirTree(changed);  // added, or moved in
+      }
+    });
+    watcher.on('error', () => unwatchDirTree(dir));
+    watchers.set(dir, watcher);
+    fs.readdirSync(dir, { withFileTypes: true }).filter((entry) => entry.isDirectory()).forEach((entry) => {
+      watchDirTree(path.join(dir, entry.name));
+    });
+  }
+
+  function unwatchDirTree(dir) {
+    Array.from(watchers.keys()).filter((p) => p === dir || p.startsWith(dir + path.sep)).forEach((p) => {
+      watchers.get(p).close();
+      watchers.delete(p);
+    });
+  }
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach((watcher) => watcher.close());
+  };
+}
+
+/**
+ * Returns absolute filenames of the relative modules that a file of the dump imports or re-exports from.
+ */
+function getDependencies(filename, fileDump) {
+  const sources = [...(fileDump.imports || []), ...(fileDump.reexports || [])].map((i) => i.source);
+  const resolved = sources.filter((source) => source.startsWith('.')).map((source) => resolveModulePath(filename, source));
+  return Array.from(new Set(resolved.filter(Boolean).map((f) => path.resolve(f))));
+}
+
+/**
+ * Given Object of filename => dependencies (see getDependencies()), returns the files that depend on any of the given
+ * files, directly or not, including the given files themselves if they are keys of "dependencies". These need to be
+ * parsed again when the given files change, since constants they import may have changed (see evaluate.js).
+ */
+function findDependents(dependencies, filenames) {
+  const dependents = new Set(filenames.filter((filename) => filename in dependencies));
+  const queue = [...filenames];
+  while (queue.length > 0) {
+    const changed = path.resolve(queue.shift());
+    Object.keys(dependencies).forEach((filename) => {
+      if (!dependents.has(filename) && dependencies[filename].includes(changed)) {
+        dependents.add(filename);
+        queue.push(filename);
+      }
+    });
+  }
+  return Array.from(dependents).sort();
+}
+
+/**
+ * Returns the events to emit when a file of the dump goes from "before" to "after", either of which may be undefined
+ * if the file was added or removed. No events are returned if the results of the file did not change. Tests are matched
+ * by id, so a test whose name did not change but whose body did only shows up in "fileChanged".
+ */
+function getFileEvents(filename, before, after) {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+  const beforeTests = new Map(((before && before.tests) || []).map((test) => [test.id, test]));
+  const afterTests = new Map(((after && after.tests) || []).map((test) => [test.id, test]));
+  return [
+    after ? { event: 'fileChanged', filename, file: after } : { event: 'fileRemoved', filename },
+    ...Array.from(beforeTests.values()).filter((test) => !afterTests.has(test.id)).map((test) => {
+      return { event: 'testRemoved', filename, name: getFullTestName(test), test };
+    }),
+    ...Array.from(afterTests.values()).filter((test) => !beforeTests.has(test.id)).map((test) => {
+      return { event: 'testAdded', filename, name: getFullTestName(test), test };
+    }),
+  ];
+}
+
+module.exports = {
+  watchPaths,
+  getDependencies,
+  findDependents,
+  getFileEvents,
+}
@@ -0,0 +1,19 @@
+/**
+ * Entry point of worker threads started by analyzeFiles() in project.js. Each worker has its own analyzer (see
+ * analyze.js), created with the options in workerData, and analyses files as it is sent them:
+ *   { filename, analysis }  =>  { filename, outcome }  or  { filename, failure }
+ * where "outcome" is as returned by analyzer.analyzeFile(), and "failure" is { name, message, stack } of an
+ * unexpected error, e.g. ConfigError.
+ */
+const { parentPort, workerData } = require('worker_threads');
+const { createAnalyzer } = require('./analyze');
+
+const analyzer = createAnalyzer(workerData);
+
+parentPort.on('message', async ({ filename, analysis }) => {
+  try {
+    parentPort.postMessage({ filename, outcome: await analyzer.analyzeFile(filename, analysis) });
+  } catch (e) {
+    parentPort.postMessage({ filename, failure: { name: e.name, message: e.message, stack: e.stack } });
+  }
+});